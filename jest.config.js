@@ -0,0 +1,8 @@
+export default {
+  verbose: false,
+  roots: ['<rootDir>/test/unit'],
+  testMatch: ['**/*.test.js'],
+  testEnvironment: 'node',
+  // Plain ESM, run with --experimental-vm-modules
+  transform: {}
+}
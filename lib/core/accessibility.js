@@ -0,0 +1,142 @@
+import crypto from 'crypto'
+
+// Roles that only group other nodes. They are left out of the snapshot and
+// their children are attached to the closest kept ancestor.
+const TRANSPARENT_ROLES = ['generic', 'none', 'InlineTextBox', 'LineBreak']
+
+function valueOf (value) {
+  return value?.value ?? null
+}
+
+// Backend id of the first element matching selector
+async function backendNodeIdFor (client, selector) {
+  const { root } = await client.send('DOM.getDocument')
+  const { nodeId } = await client.send('DOM.querySelector', { nodeId: root.nodeId, selector })
+  if (!nodeId) {
+    throw new Error(`No element matches selector "${selector}"`)
+  }
+  const { node } = await client.send('DOM.describeNode', { nodeId })
+  return node.backendNodeId
+}
+
+// The accessibility tree as a flat list in tree order, ignored nodes left out.
+// Each node is keyed by the roles on its path plus a counter for paths that
+// repeat: "RootWebArea > navigation > list > listitem (2) > link". Names are
+// not part of the key, so a changed label is reported as a change rather than
+// a new node.
+async function captureAccessibilityTree (client, { selector = null } = {}) {
+  await client.send('Accessibility.enable')
+  const { nodes: axNodes } = await client.send('Accessibility.getFullAXTree')
+  const byId = new Map(axNodes.map(node => [node.nodeId, node]))
+
+  let root
+  if (selector) {
+    const backendNodeId = await backendNodeIdFor(client, selector)
+    root = axNodes.find(node => node.backendDOMNodeId === backendNodeId)
+  } else {
+    root = axNodes.find(node => !node.parentId || !byId.has(node.parentId))
+  }
+  if (!root) return []
+
+  const seen = new Map()
+  const nodes = []
+
+  const visit = (axNode, parentPath) => {
+    const role = valueOf(axNode.role)
+    const kept = !axNode.ignored && role && !(TRANSPARENT_ROLES.includes(role) && !valueOf(axNode.name))
+    let path = parentPath
+
+    if (kept) {
+      path = parentPath ? `${parentPath} > ${role}` : role
+      const count = (seen.get(path) || 0) + 1
+      seen.set(path, count)
+      if (count > 1) path = `${path} (${count})`
+
+      const states = {}
+      for (const property of axNode.properties || []) {
+        states[property.name] = valueOf(property.value)
+      }
+
+      nodes.push({
+        key: path,
+        role,
+        name: valueOf(axNode.name) || '',
+        ...(valueOf(axNode.value) !== null && { value: valueOf(axNode.value) }),
+        ...(valueOf(axNode.description) && { description: valueOf(axNode.description) }),
+        states
+      })
+    }
+
+    for (const childId of axNode.childIds || []) {
+      const child = byId.get(childId)
+      if (child) visit(child, path)
+    }
+  }
+  visit(root, '')
+
+  return nodes
+}
+
+function hashAccessibilityTree (nodes) {
+  return crypto.createHash('sha256').update(JSON.stringify(nodes)).digest('hex').substring(0, 16)
+}
+
+function label (node) {
+  return node.name ? `${node.key} "${node.name}"` : node.key
+}
+
+function format (value) {
+  return value === undefined ? 'unset' : JSON.stringify(value)
+}
+
+// Node by node comparison of roles, names, values and states
+function diffAccessibilityTree (baselineNodes = [], actualNodes = []) {
+  const baselineByKey = new Map(baselineNodes.map(node => [node.key, node]))
+  const actualByKey = new Map(actualNodes.map(node => [node.key, node]))
+
+  const diff = {
+    added: actualNodes.filter(node => !baselineByKey.has(node.key)).map(node => ({
+      key: node.key,
+      role: node.role,
+      name: node.name,
+      description: `${label(node)}: added`
+    })),
+    removed: baselineNodes.filter(node => !actualByKey.has(node.key)).map(node => ({
+      key: node.key,
+      role: node.role,
+      name: node.name,
+      description: `${label(node)}: removed`
+    })),
+    changed: []
+  }
+
+  const change = (node, property, before, after) => diff.changed.push({
+    key: node.key,
+    property,
+    baseline: before,
+    actual: after,
+    description: `${label(node)}: ${property} ${format(before)} → ${format(after)}`
+  })
+
+  for (const baseline of baselineNodes) {
+    const actual = actualByKey.get(baseline.key)
+    if (!actual) continue
+
+    for (const property of ['name', 'value', 'description']) {
+      if (baseline[property] !== actual[property]) {
+        change(baseline, property, baseline[property], actual[property])
+      }
+    }
+
+    const stateNames = new Set([...Object.keys(baseline.states), ...Object.keys(actual.states)])
+    for (const name of stateNames) {
+      if (JSON.stringify(baseline.states[name]) !== JSON.stringify(actual.states[name])) {
+        change(baseline, name, baseline.states[name], actual.states[name])
+      }
+    }
+  }
+
+  return diff
+}
+
+export { captureAccessibilityTree, hashAccessibilityTree, diffAccessibilityTree }
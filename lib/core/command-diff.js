@@ -0,0 +1,241 @@
+import { explainChanges, describeModification } from './param-diff.js'
+import { SAVE_METHODS, RESTORE_METHODS } from './geometry.js'
+import { commandKey } from './layer-tree.js'
+
+// Above this many edits the diff falls back to comparing by index
+const DEFAULT_MAX_EDITS = 4000
+
+// Nesting depth of every command inside save/restore blocks. A restore gets the
+// depth of the save it closes, so both ends of a block share the same depth.
+function blockDepths (commands) {
+  let depth = 0
+  return commands.map(cmd => {
+    if (RESTORE_METHODS.includes(cmd.method)) depth = Math.max(0, depth - 1)
+    const current = depth
+    if (SAVE_METHODS.includes(cmd.method)) depth++
+    return current
+  })
+}
+
+// Maps every command to a small integer so the diff compares numbers, not JSON.
+// The depth is part of the key, which keeps restores from matching across blocks.
+function toKeys (baselineCommands, actualCommands) {
+  const ids = new Map()
+  const keyOf = (cmd, depth) => {
+    const key = `${depth}:${commandKey(cmd)}`
+    if (!ids.has(key)) ids.set(key, ids.size)
+    return ids.get(key)
+  }
+
+  const baselineDepths = blockDepths(baselineCommands)
+  const actualDepths = blockDepths(actualCommands)
+
+  return {
+    baselineKeys: baselineCommands.map((cmd, i) => keyOf(cmd, baselineDepths[i])),
+    actualKeys: actualCommands.map((cmd, i) => keyOf(cmd, actualDepths[i])),
+    baselineDepths,
+    actualDepths
+  }
+}
+
+// Myers' O(ND) diff. Returns the edit script as a list of
+// ['equal' | 'delete' | 'insert', baselineIndex, actualIndex], or null past maxEdits.
+function myers (a, b, maxEdits) {
+  const n = a.length
+  const m = b.length
+  const max = Math.min(n + m, maxEdits)
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  const trace = []
+
+  let found = false
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2))
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+
+      v[offset + k] = x
+      if (x >= n && y >= m) {
+        found = true
+        break
+      }
+    }
+  }
+
+  if (!found) return null
+
+  // Walk the trace backwards to recover the edit script
+  const script = []
+  let x = n
+  let y = m
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const prev = trace[d]
+    const at = k => prev[k + d + 1]
+    const k = x - y
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1
+    const prevX = d === 0 ? 0 : at(prevK)
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      x--
+      y--
+      script.push(['equal', x, y])
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        y--
+        script.push(['insert', x, y])
+      } else {
+        x--
+        script.push(['delete', x, y])
+      }
+    }
+  }
+
+  return script.reverse()
+}
+
+function modification (baselineIndex, actualIndex, baseline, actual) {
+  const changes = explainChanges(baseline, actual)
+  const categories = [...new Set(changes.map(change => change.category))]
+  const node = actual.node || baseline.node || null
+  return {
+    baselineIndex,
+    actualIndex,
+    method: actual.method,
+    node,
+    categories,
+    description: describeModification({ actualIndex, method: actual.method, node, categories }),
+    changes,
+    baseline,
+    actual
+  }
+}
+
+// Within one run of deletions and insertions, pairs commands that take the same
+// place in the page (same method, same block depth) into modifications
+function pairHunk (removed, inserted, baselineDepths, actualDepths, baselineCommands, actualCommands, diff) {
+  let searchFrom = 0
+
+  for (const baselineIndex of removed) {
+    const baseline = baselineCommands[baselineIndex]
+    let paired = false
+
+    for (let j = searchFrom; j < inserted.length; j++) {
+      const actualIndex = inserted[j]
+      const actual = actualCommands[actualIndex]
+      if (actual.method === baseline.method && actualDepths[actualIndex] === baselineDepths[baselineIndex]) {
+        // Everything skipped on the way is a plain insertion
+        for (let s = searchFrom; s < j; s++) {
+          diff.added.push({ index: inserted[s], command: actualCommands[inserted[s]] })
+        }
+        diff.modified.push(modification(baselineIndex, actualIndex, baseline, actual))
+        searchFrom = j + 1
+        paired = true
+        break
+      }
+    }
+
+    if (!paired) {
+      diff.removed.push({ index: baselineIndex, command: baseline })
+    }
+  }
+
+  for (let s = searchFrom; s < inserted.length; s++) {
+    diff.added.push({ index: inserted[s], command: actualCommands[inserted[s]] })
+  }
+}
+
+function diffByIndex (baselineCommands, actualCommands, start, diff) {
+  const maxLen = Math.max(baselineCommands.length, actualCommands.length) - start
+
+  for (let i = 0; i < maxLen; i++) {
+    const baseline = baselineCommands[start + i]
+    const actual = actualCommands[start + i]
+
+    if (!baseline) {
+      diff.added.push({ index: start + i, command: actual })
+    } else if (!actual) {
+      diff.removed.push({ index: start + i, command: baseline })
+    } else if (commandKey(baseline) !== commandKey(actual)) {
+      diff.modified.push(modification(start + i, start + i, baseline, actual))
+    } else {
+      diff.unchanged++
+    }
+  }
+}
+
+function diffCommands (baselineCommands = [], actualCommands = [], { maxEdits = DEFAULT_MAX_EDITS } = {}) {
+  const diff = {
+    added: [],
+    removed: [],
+    modified: [],
+    unchanged: 0,
+    exact: true
+  }
+
+  const { baselineKeys, actualKeys, baselineDepths, actualDepths } = toKeys(baselineCommands, actualCommands)
+
+  // Common prefix and suffix never need the full diff
+  let start = 0
+  while (start < baselineKeys.length && start < actualKeys.length && baselineKeys[start] === actualKeys[start]) {
+    start++
+  }
+  let end = 0
+  while (
+    end < baselineKeys.length - start &&
+    end < actualKeys.length - start &&
+    baselineKeys[baselineKeys.length - 1 - end] === actualKeys[actualKeys.length - 1 - end]
+  ) {
+    end++
+  }
+  diff.unchanged = start + end
+
+  const script = myers(
+    baselineKeys.slice(start, baselineKeys.length - end),
+    actualKeys.slice(start, actualKeys.length - end),
+    maxEdits
+  )
+
+  if (!script) {
+    // Too many changes for a readable diff, report what differs position by position
+    diff.exact = false
+    diff.unchanged = start
+    diffByIndex(baselineCommands, actualCommands, start, diff)
+    return diff
+  }
+
+  let removed = []
+  let inserted = []
+  const flush = () => {
+    pairHunk(removed, inserted, baselineDepths, actualDepths, baselineCommands, actualCommands, diff)
+    removed = []
+    inserted = []
+  }
+
+  for (const [op, x, y] of script) {
+    if (op === 'equal') {
+      flush()
+      diff.unchanged++
+    } else if (op === 'delete') {
+      removed.push(start + x)
+    } else {
+      inserted.push(start + y)
+    }
+  }
+  flush()
+
+  return diff
+}
+
+export { diffCommands, blockDepths, myers }
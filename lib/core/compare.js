@@ -0,0 +1,84 @@
+import { flattenCommands, diffLayerTrees } from './layer-tree.js'
+import { diffCommands } from './command-diff.js'
+import { compareWithTolerance } from './tolerance.js'
+import { SHIFT_POLICIES, detectShifts } from './shift.js'
+import { localizeChanges, diffLocalized } from './merkle.js'
+import { normalizePolicy, evaluatePolicy } from './policy.js'
+import { diffTextRuns } from './text-diff.js'
+
+function checkShiftPolicy (shifts) {
+  if (!SHIFT_POLICIES.includes(shifts)) {
+    throw new Error(`Unknown shift policy "${shifts}", expected one of: ${SHIFT_POLICIES.join(', ')}`)
+  }
+  return shifts
+}
+
+// Compares two snapshots the way the service and the CLI both report them.
+// Settings: tolerance, shifts ('fail', 'warn' or 'pass'), policy (object or
+// JSON file path) and scenarios, the names the policy's scenario rules match.
+// A baseline normalized differently fails with outdated set to the reason.
+function compareSnapshots (baseline, actual, { tolerance = null, shifts = 'fail', policy = null, scenarios = [] } = {}) {
+  const shiftPolicy = checkShiftPolicy(shifts)
+  const rules = normalizePolicy(policy, { shifts: shiftPolicy })
+
+  const result = {
+    identical: baseline.hash === actual.hash,
+    verdict: 'pass',
+    match: true,
+    diff: null,
+    changes: null,
+    layerDiff: null,
+    shift: null,
+    textDiff: null,
+    tolerance: null,
+    evaluation: null
+  }
+
+  // Baselines normalized differently can't match, whatever the page does
+  const baselineNormalizers = String(baseline.normalizers || 'canonical')
+  const actualNormalizers = String(actual.normalizers || 'canonical')
+  if (baselineNormalizers !== actualNormalizers) {
+    return {
+      ...result,
+      verdict: 'fail',
+      match: false,
+      outdated: `Baseline was normalized with [${baselineNormalizers}], the actual with [${actualNormalizers}]; the baseline needs re-creating`
+    }
+  }
+
+  if (result.identical) return result
+
+  // With subtree hashes on both sides only the changed blocks are diffed
+  if (baseline.merkle && actual.merkle) {
+    result.changes = localizeChanges(baseline.merkle, actual.merkle)
+    result.diff = diffLocalized(baseline, actual, result.changes)
+  } else {
+    result.diff = diffCommands(flattenCommands(baseline), flattenCommands(actual))
+  }
+  result.layerDiff = diffLayerTrees(baseline.layers, actual.layers)
+  result.shift = { ...detectShifts(result.diff, result.layerDiff), policy: shiftPolicy }
+  // Copy changes word by word, per element. Only snapshots with textCommands carry
+  // the text, the Node script's have none.
+  if (baseline.textCommands && actual.textCommands) {
+    result.textDiff = diffTextRuns(flattenCommands(baseline), flattenCommands(actual))
+  }
+  result.evaluation = evaluatePolicy(
+    { shift: result.shift, layerDiff: result.layerDiff, textDiff: result.textDiff },
+    rules,
+    scenarios.filter(Boolean)
+  )
+
+  if (tolerance) {
+    result.tolerance = compareWithTolerance(flattenCommands(baseline), flattenCommands(actual), tolerance, {
+      diff: result.diff,
+      layerDiff: result.layerDiff
+    })
+  }
+
+  // Changes the policy ignores or only warns about don't fail the comparison
+  result.verdict = result.tolerance?.match ? 'pass' : result.evaluation.verdict
+  result.match = result.verdict !== 'fail'
+  return result
+}
+
+export { checkShiftPolicy, compareSnapshots }
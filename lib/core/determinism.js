@@ -0,0 +1,121 @@
+const defaultDeterminism = {
+  animations: 'pause', // 'pause' stops CSS/Web animations at animationTime, false leaves them running
+  animationTime: 0, // ms to seek paused animations to
+  virtualTimeBudget: 0, // ms of virtual time to let timers run after load, 0 = off
+  now: null, // Freeze Date and performance.now at this date (ISO string or ms), null = off
+  randomSeed: null // Seed Math.random, null = off
+}
+
+// Runs in the page before any of its scripts
+function freezePage ({ now, randomSeed }) {
+  if (now !== null) {
+    const frozen = new Date(now).getTime()
+    const NativeDate = Date
+
+    // A function rather than a class, since Date() without new returns a string
+    function FrozenDate (...args) {
+      if (!new.target) return new NativeDate(frozen).toString()
+      return new NativeDate(...(args.length > 0 ? args : [frozen]))
+    }
+    FrozenDate.prototype = NativeDate.prototype
+    FrozenDate.parse = NativeDate.parse
+    FrozenDate.UTC = NativeDate.UTC
+    FrozenDate.now = () => frozen
+
+    window.Date = FrozenDate
+    performance.now = () => 0
+  }
+
+  if (randomSeed !== null) {
+    // mulberry32
+    let state = randomSeed >>> 0
+    Math.random = () => {
+      state = (state + 0x6D2B79F5) >>> 0
+      let t = state
+      t = Math.imul(t ^ (t >>> 15), t | 1)
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+  }
+}
+
+function resolveDeterminism (options) {
+  if (!options) return null
+  return { ...defaultDeterminism, ...(options === true ? {} : options) }
+}
+
+// Call before navigating: installs the time and random overrides and starts
+// tracking animations. Returns settle(), to call right before the capture, and
+// restore(), which leaves later navigations of the page unfrozen.
+async function prepareDeterminism (page, options) {
+  const settings = resolveDeterminism(options)
+  if (!settings) return null
+
+  const client = await page.target().createCDPSession()
+  const animationIds = new Set()
+  let identifier = null
+
+  if (settings.now !== null || settings.randomSeed !== null) {
+    await client.send('Page.enable')
+    ;({ identifier } = await client.send('Page.addScriptToEvaluateOnNewDocument', {
+      source: `(${freezePage.toString()})(${JSON.stringify({ now: settings.now, randomSeed: settings.randomSeed })})`
+    }))
+  }
+
+  if (settings.animations === 'pause') {
+    client.on('Animation.animationStarted', ({ animation }) => animationIds.add(animation.id))
+    // Replacing the document cancels its animations, and CDP rejects unknown ids
+    client.on('Animation.animationCanceled', ({ id }) => animationIds.delete(id))
+    await client.send('Animation.enable')
+  }
+
+  async function settle () {
+    if (settings.virtualTimeBudget > 0) {
+      const expired = new Promise(resolve => client.once('Emulation.virtualTimeBudgetExpired', resolve))
+      await client.send('Emulation.setVirtualTimePolicy', {
+        policy: 'pauseIfNetworkFetchesPending',
+        budget: settings.virtualTimeBudget
+      })
+      await Promise.race([
+        expired,
+        new Promise(resolve => setTimeout(resolve, settings.virtualTimeBudget + 5000))
+      ])
+      // Let rendering go on for the capture itself
+      await client.send('Emulation.setVirtualTimePolicy', { policy: 'advance' })
+    }
+
+    if (settings.animations === 'pause') {
+      await client.send('Animation.setPlaybackRate', { playbackRate: 0 })
+
+      const animations = [...animationIds]
+      if (animations.length > 0) {
+        await client.send('Animation.setPaused', { animations, paused: true })
+        await client.send('Animation.seekAnimations', { animations, currentTime: settings.animationTime })
+      }
+
+      // Animations that started before tracking began
+      await page.evaluate((time) => {
+        document.getAnimations().forEach(animation => {
+          animation.pause()
+          animation.currentTime = time
+        })
+      }, settings.animationTime)
+    }
+
+    return settings
+  }
+
+  async function restore () {
+    if (identifier) {
+      await client.send('Page.removeScriptToEvaluateOnNewDocument', { identifier })
+    }
+    if (settings.animations === 'pause') {
+      await client.send('Animation.setPlaybackRate', { playbackRate: 1 })
+    }
+    await client.detach()
+  }
+
+  return { settings, settle, restore }
+}
+
+export { prepareDeterminism, resolveDeterminism }
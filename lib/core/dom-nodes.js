@@ -0,0 +1,324 @@
+import { layerOrigins } from './layer-tree.js'
+import { commandBounds, offsetBounds, walkCommands } from './geometry.js'
+
+// Below this overlap a command is not taken to paint an element's box
+const MIN_OVERLAP = 0.5
+// Slack for text origins, which sit on the baseline at the edge of their box
+const TEXT_SLACK = 2
+
+const ELEMENT_NODE = 1
+const TEXT_NODE = 3
+const DOCUMENT_FRAGMENT_NODE = 11
+
+// Computed styles requested with every DOM snapshot, in this order
+const SNAPSHOT_STYLES = ['font-family', 'font-size', 'font-weight', 'font-style', 'color', 'visibility']
+
+function toBounds ([x, y, width, height]) {
+  return { left: x, top: y, right: x + width, bottom: y + height }
+}
+
+function area (bounds) {
+  return Math.max(0, bounds.right - bounds.left) * Math.max(0, bounds.bottom - bounds.top)
+}
+
+function overlap (a, b) {
+  const intersection = area({
+    left: Math.max(a.left, b.left),
+    top: Math.max(a.top, b.top),
+    right: Math.min(a.right, b.right),
+    bottom: Math.min(a.bottom, b.bottom)
+  })
+  const union = area(a) + area(b) - intersection
+  return union > 0 ? intersection / union : 0
+}
+
+function containsPoint (bounds, x, y, slack = 0) {
+  return x >= bounds.left - slack && x <= bounds.right + slack &&
+    y >= bounds.top - slack && y <= bounds.bottom + slack
+}
+
+// Short CSS path of an element: "nav > a.active", starting at the closest
+// ancestor with an id, below body
+function selectorBuilder (nodes, strings) {
+  const cache = new Map()
+  const str = index => index >= 0 ? strings[index] : ''
+  // Names that would need escaping are left out, which keeps paths easy to match
+  const plain = name => /^[\w-]+$/.test(name)
+
+  const segment = (index) => {
+    const attributes = nodes.attributes[index] || []
+    let id = ''
+    let classes = []
+    for (let i = 0; i < attributes.length; i += 2) {
+      const name = str(attributes[i])
+      if (name === 'id' && plain(str(attributes[i + 1]))) id = str(attributes[i + 1])
+      if (name === 'class') classes = str(attributes[i + 1]).split(/\s+/).filter(plain)
+    }
+
+    const tag = str(nodes.nodeName[index]).toLowerCase()
+    if (id) return { text: `${tag}#${id}`, anchored: true }
+    return { text: tag + classes.map(name => `.${name}`).join(''), anchored: false }
+  }
+
+  const selectorOf = (index) => {
+    if (cache.has(index)) return cache.get(index)
+
+    const name = str(nodes.nodeName[index]).toLowerCase()
+    const parent = nodes.parentIndex[index]
+    let selector
+
+    if (nodes.nodeType[index] === TEXT_NODE || name.startsWith('::')) {
+      // Text and pseudo-elements belong to their element
+      const owner = parent >= 0 ? selectorOf(parent) : null
+      selector = name.startsWith('::') && owner ? `${owner}${name}` : owner
+    } else if (nodes.nodeType[index] === DOCUMENT_FRAGMENT_NODE) {
+      // Shadow roots continue the path of their host
+      selector = parent >= 0 ? selectorOf(parent) : null
+    } else if (nodes.nodeType[index] !== ELEMENT_NODE) {
+      selector = null
+    } else if (name === 'html' || name === 'body') {
+      selector = name
+    } else {
+      const { text, anchored } = segment(index)
+      const parentSelector = parent >= 0 && !anchored ? selectorOf(parent) : null
+      selector = parentSelector && parentSelector !== 'html' && parentSelector !== 'body'
+        ? `${parentSelector} > ${text}`
+        : text
+    }
+
+    cache.set(index, selector)
+    return selector
+  }
+
+  return selectorOf
+}
+
+// One DOMSnapshot of the page, shared by node mapping and text extraction.
+// It covers iframes (as further documents) and shadow DOM.
+async function captureDomSnapshot (client) {
+  return client.send('DOMSnapshot.captureSnapshot', {
+    computedStyles: SNAPSHOT_STYLES,
+    includePaintOrder: true
+  })
+}
+
+// Page offset of every document: iframes are placed at their element's layout box,
+// minus their own scroll (borders and padding of the iframe are not accounted for)
+function documentOffsets ({ documents }) {
+  const offsets = documents.map(() => ({ x: 0, y: 0 }))
+
+  documents.forEach((document, d) => {
+    const { index = [], value = [] } = document.nodes.contentDocumentIndex || {}
+    index.forEach((nodeIndex, i) => {
+      const layoutIndex = document.layout.nodeIndex.indexOf(nodeIndex)
+      const child = documents[value[i]]
+      if (layoutIndex === -1 || !child) return
+
+      const [x, y] = document.layout.bounds[layoutIndex]
+      offsets[value[i]] = {
+        x: offsets[d].x + x - (child.scrollOffsetX || 0),
+        y: offsets[d].y + y - (child.scrollOffsetY || 0)
+      }
+    })
+  })
+
+  return offsets
+}
+
+// Calls visit(document, { selectorOf, offset, place }) for every document of a snapshot,
+// place() turning a layout rect into page-coordinate bounds
+function forEachDocument (snapshot, visit) {
+  const offsets = documentOffsets(snapshot)
+
+  snapshot.documents.forEach((document, d) => {
+    const offset = offsets[d]
+    visit(document, {
+      selectorOf: selectorBuilder(document.nodes, snapshot.strings),
+      offset,
+      place: rect => offsetBounds(toBounds(rect), offset.x, offset.y)
+    })
+  })
+}
+
+// Layout boxes of all documents in page coordinates, each with the selector
+// of the element it belongs to
+async function captureDomNodes (client, snapshot = null) {
+  const boxes = []
+  const texts = []
+
+  forEachDocument(snapshot || await captureDomSnapshot(client), ({ nodes, layout, textBoxes }, { selectorOf, place }) => {
+    layout.nodeIndex.forEach((nodeIndex, i) => {
+      const selector = selectorOf(nodeIndex)
+      if (selector && nodes.nodeType[nodeIndex] !== TEXT_NODE) {
+        boxes.push({
+          selector,
+          bounds: place(layout.bounds[i]),
+          paintOrder: layout.paintOrders ? layout.paintOrders[i] : i
+        })
+      }
+    })
+
+    textBoxes.layoutIndex.forEach((layoutIndex, i) => {
+      const selector = selectorOf(layout.nodeIndex[layoutIndex])
+      if (selector) texts.push({ selector, bounds: place(textBoxes.bounds[i]) })
+    })
+  })
+
+  return { boxes, texts }
+}
+
+// Selector of every node by backend node id, which names the layers elements own
+function nodeOwners (snapshot) {
+  const owners = new Map()
+  forEachDocument(snapshot, ({ nodes }, { selectorOf }) => {
+    nodes.backendNodeId.forEach((backendNodeId, index) => {
+      const selector = selectorOf(index)
+      if (selector) owners.set(backendNodeId, selector)
+    })
+  })
+  return owners
+}
+
+function nodeForText (domNodes, x, y) {
+  const candidates = domNodes.texts.filter(box => containsPoint(box.bounds, x, y, TEXT_SLACK))
+  if (candidates.length === 0) return nodeForPoint(domNodes, x, y)
+  return candidates.reduce((best, box) => area(box.bounds) < area(best.bounds) ? box : best).selector
+}
+
+// Smallest, then last painted, element box around a point
+function nodeForPoint (domNodes, x, y) {
+  let best = null
+  for (const box of domNodes.boxes) {
+    if (!containsPoint(box.bounds, x, y)) continue
+    if (!best || area(box.bounds) < area(best.bounds) ||
+        (area(box.bounds) === area(best.bounds) && box.paintOrder > best.paintOrder)) {
+      best = box
+    }
+  }
+  return best ? best.selector : null
+}
+
+// Element box matching the command's bounds best, then the last painted one
+function nodeForBounds (domNodes, bounds) {
+  let best = null
+  let bestOverlap = MIN_OVERLAP
+  for (const box of domNodes.boxes) {
+    const score = overlap(box.bounds, bounds)
+    if (score > bestOverlap || (best && score === bestOverlap && box.paintOrder > best.paintOrder)) {
+      best = box
+      bestOverlap = score
+    }
+  }
+  if (best) return best.selector
+
+  return nodeForPoint(domNodes, (bounds.left + bounds.right) / 2, (bounds.top + bounds.bottom) / 2)
+}
+
+function annotate (commands, domNodes, origin = { x: 0, y: 0 }) {
+  let annotated = 0
+
+  const result = []
+  walkCommands(commands, (cmd, offset) => {
+    const bounds = cmd.method.startsWith('draw') && commandBounds(cmd)
+    if (!bounds) {
+      result.push(cmd)
+      return
+    }
+
+    const page = offsetBounds(bounds, origin.x + offset.dx, origin.y + offset.dy)
+    const node = cmd.method === 'drawTextBlob'
+      ? nodeForText(domNodes, page.left, page.top)
+      : nodeForBounds(domNodes, page)
+
+    if (node) annotated++
+    result.push(node ? { ...cmd, node } : cmd)
+  })
+
+  return { commands: result, annotated }
+}
+
+// Adds the selector of the element that painted it to every draw command, as `node`
+function annotateCommands ({ layers, textCommands = [] }, domNodes) {
+  const origins = layerOrigins(layers)
+  let annotated = 0
+
+  const annotatedLayers = layers.map(layer => {
+    const result = annotate(layer.commands, domNodes, origins.get(layer.id))
+    annotated += result.annotated
+    return { ...layer, commands: result.commands }
+  })
+
+  const text = annotate(textCommands, domNodes)
+  annotated += text.annotated
+
+  return { layers: annotatedLayers, textCommands: text.commands, annotated }
+}
+
+function parseCompound (text) {
+  const match = /^([a-z0-9-]*|\*)((?:[#.][\w-]+)*)(::[\w-]+)?$/i.exec(text)
+  if (!match) throw new Error(`Unsupported selector part "${text}"`)
+  const parts = match[2].match(/[#.][\w-]+/g) || []
+  return {
+    tag: match[1] === '*' ? '' : match[1].toLowerCase(),
+    id: (parts.find(part => part.startsWith('#')) || '').slice(1),
+    classes: parts.filter(part => part.startsWith('.')).map(part => part.slice(1)),
+    pseudo: match[3] || ''
+  }
+}
+
+function compoundMatches (selector, segment) {
+  return (!selector.tag || selector.tag === segment.tag) &&
+    (!selector.id || selector.id === segment.id) &&
+    selector.classes.every(name => segment.classes.includes(name)) &&
+    selector.pseudo === segment.pseudo
+}
+
+// Matches a simple selector (tags, ids, classes, descendant and child combinators)
+// against a stored node path. Ancestors above the path's first id are not known.
+function nodeMatches (node, selector) {
+  if (!node) return false
+
+  const segments = node.split(' > ').map(parseCompound)
+  const parts = selector.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/)
+
+  // Right to left, the last compound has to be the node itself
+  let position = segments.length - 1
+  let child = true
+  for (let i = parts.length - 1; i >= 0; i--) {
+    if (parts[i] === '>') {
+      child = true
+      continue
+    }
+    const compound = parseCompound(parts[i])
+
+    if (child) {
+      if (position < 0 || !compoundMatches(compound, segments[position])) return false
+      position--
+    } else {
+      while (position >= 0 && !compoundMatches(compound, segments[position])) position--
+      if (position < 0) return false
+      position--
+    }
+    child = false
+  }
+
+  return true
+}
+
+// Commands painted by elements matching selector, from a stored snapshot
+function commandsForSelector (snapshot, selector) {
+  const layers = snapshot.layers || [{ commands: snapshot.commands || [] }]
+  return [...layers.flatMap(layer => layer.commands), ...(snapshot.textCommands || [])]
+    .filter(cmd => nodeMatches(cmd.node, selector))
+}
+
+export {
+  SNAPSHOT_STYLES,
+  captureDomSnapshot,
+  forEachDocument,
+  captureDomNodes,
+  nodeOwners,
+  annotateCommands,
+  nodeMatches,
+  commandsForSelector
+}
@@ -0,0 +1,102 @@
+import { layerOrigins } from './layer-tree.js'
+import {
+  SAVE_METHODS,
+  RESTORE_METHODS,
+  commandBounds,
+  offsetBounds,
+  intersects,
+  offsetCommand,
+  walkCommands,
+  pruneEmptyBlocks
+} from './geometry.js'
+
+// Border box of the first element matching selector, in page coordinates
+async function resolveElementBox (client, page, selector) {
+  const { root } = await client.send('DOM.getDocument')
+  const { nodeId } = await client.send('DOM.querySelector', { nodeId: root.nodeId, selector })
+  if (!nodeId) {
+    throw new Error(`No element matches selector "${selector}"`)
+  }
+
+  const { model } = await client.send('DOM.getBoxModel', { nodeId })
+  const xs = model.border.filter((_, i) => i % 2 === 0)
+  const ys = model.border.filter((_, i) => i % 2 === 1)
+
+  // Box model quads are relative to the viewport, commands to the page
+  const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }))
+
+  return {
+    left: Math.min(...xs) + scroll.x,
+    top: Math.min(...ys) + scroll.y,
+    right: Math.max(...xs) + scroll.x,
+    bottom: Math.max(...ys) + scroll.y
+  }
+}
+
+// Keeps the commands drawing inside box, and those drawing without bounds, with
+// translations folded in. Commands of a layer (origin is where it sits on the
+// page) stay relative to the layer; commands without one are made relative to
+// the box's top-left corner.
+function scopeCommands (commands, box, origin = null) {
+  const page = origin || { x: 0, y: 0 }
+  const corner = origin ? { x: 0, y: 0 } : { x: box.left, y: box.top }
+  const kept = []
+
+  walkCommands(commands, (cmd, offset) => {
+    if (cmd.method === 'translate') return
+
+    if (SAVE_METHODS.includes(cmd.method) || RESTORE_METHODS.includes(cmd.method)) {
+      kept.push(cmd)
+      return
+    }
+
+    // Draws without bounds, like drawPaint, fill whatever of their layer is visible;
+    // layers are scoped first, so this one intersects the box
+    const bounds = commandBounds(cmd)
+    if (!bounds) {
+      if (cmd.method.startsWith('draw')) kept.push(cmd)
+      return
+    }
+
+    if (intersects(offsetBounds(bounds, page.x + offset.dx, page.y + offset.dy), box)) {
+      kept.push(offsetCommand(cmd, offset.dx - corner.x, offset.dy - corner.y))
+    }
+  })
+
+  return pruneEmptyBlocks(kept)
+}
+
+// Reduces a capture to the layers and commands intersecting box. Only the layer
+// bounds move into box space: a layer whose parent was dropped is placed at its
+// page position less the box corner, the others stay relative to their parent,
+// and commands stay relative to their layer. Text commands become box-relative.
+function scopeToBox ({ layers, textCommands = [] }, box) {
+  const origins = layerOrigins(layers)
+
+  const keptLayers = layers
+    .filter(layer => {
+      const origin = origins.get(layer.id)
+      return intersects({
+        left: origin.x,
+        top: origin.y,
+        right: origin.x + (layer.bounds.width || 0),
+        bottom: origin.y + (layer.bounds.height || 0)
+      }, box)
+    })
+  const keptIds = new Set(keptLayers.map(layer => layer.id))
+
+  const scopedLayers = keptLayers.map(layer => {
+    const origin = origins.get(layer.id)
+    const bounds = keptIds.has(layer.parentId)
+      ? layer.bounds
+      : { ...layer.bounds, x: origin.x - box.left, y: origin.y - box.top }
+    return { ...layer, bounds, commands: scopeCommands(layer.commands, box, origin) }
+  })
+
+  return {
+    layers: scopedLayers,
+    textCommands: scopeCommands(textCommands, box)
+  }
+}
+
+export { resolveElementBox, scopeCommands, scopeToBox }
@@ -0,0 +1,71 @@
+// Matrix keys that map to CSS media features
+const MEDIA_FEATURES = {
+  colorScheme: { feature: 'prefers-color-scheme', label: 'scheme' },
+  reducedMotion: { feature: 'prefers-reduced-motion', label: 'motion' },
+  forcedColors: { feature: 'forced-colors', label: 'colors' }
+}
+
+function viewportLabel ({ width, height, deviceScaleFactor = 1 }) {
+  return deviceScaleFactor === 1 ? `${width}x${height}` : `${width}x${height}-${deviceScaleFactor}x`
+}
+
+// Cartesian product of the matrix dimensions, e.g.
+// { colorScheme: ['light', 'dark'], viewports: [{ width: 375, height: 667, deviceScaleFactor: 2 }] }
+// gives two combinations, named "scheme-light_375x667-2x" and "scheme-dark_375x667-2x"
+function expandMatrix (matrix) {
+  const dimensions = []
+
+  for (const [key, { label }] of Object.entries(MEDIA_FEATURES)) {
+    if (matrix[key]?.length) {
+      dimensions.push(matrix[key].map(value => ({ [key]: value, label: `${label}-${value}` })))
+    }
+  }
+  if (matrix.media?.length) {
+    dimensions.push(matrix.media.map(media => ({ media, label: `media-${media}` })))
+  }
+  if (matrix.viewports?.length) {
+    dimensions.push(matrix.viewports.map(viewport => ({ viewport, label: viewportLabel(viewport) })))
+  }
+
+  if (dimensions.length === 0) {
+    throw new Error('Emulation matrix has no dimensions')
+  }
+
+  return dimensions.reduce(
+    (combinations, dimension) => combinations.flatMap(combination => dimension.map(({ label, ...value }) => ({
+      ...combination,
+      ...value,
+      labels: [...combination.labels, label]
+    }))),
+    [{ labels: [] }]
+  ).map(({ labels, ...combination }) => ({ ...combination, suffix: labels.join('_') }))
+}
+
+function combinationName (name, combination) {
+  return `${name}@${combination.suffix}`
+}
+
+async function applyEmulation (client, combination) {
+  const features = Object.entries(MEDIA_FEATURES)
+    .filter(([key]) => combination[key])
+    .map(([key, { feature }]) => ({ name: feature, value: combination[key] }))
+
+  await client.send('Emulation.setEmulatedMedia', {
+    media: combination.media || '',
+    features
+  })
+
+  if (combination.viewport) {
+    const { width, height, deviceScaleFactor = 1, isMobile = false } = combination.viewport
+    await client.send('Emulation.setDeviceMetricsOverride', { width, height, deviceScaleFactor, mobile: isMobile })
+  }
+}
+
+async function clearEmulation (client, combination) {
+  await client.send('Emulation.setEmulatedMedia', { media: '', features: [] })
+  if (combination.viewport) {
+    await client.send('Emulation.clearDeviceMetricsOverride')
+  }
+}
+
+export { expandMatrix, combinationName, applyEmulation, clearEmulation }
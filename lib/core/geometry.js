@@ -0,0 +1,145 @@
+const SAVE_METHODS = ['save', 'saveLayer']
+const RESTORE_METHODS = ['restore']
+// In order of precedence for the bounds; drawDRRect has outer and inner rrects
+const RECT_PARAMS = ['rect', 'rrect', 'oval', 'dst', 'outer', 'inner']
+
+function edges (rect) {
+  return rect && typeof rect.left === 'number'
+    ? { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom }
+    : null
+}
+
+// Bounds of a command in its own coordinate space, or null when it has no geometry,
+// like drawPaint. Paths are logged with their bounds. drawTextBlob only logs its
+// origin, so it becomes a zero-sized box.
+function commandBounds (cmd) {
+  const params = cmd.params || {}
+
+  for (const key of RECT_PARAMS) {
+    const rect = edges(params[key])
+    if (rect) return rect
+  }
+
+  const path = edges(params.path?.bounds)
+  if (path) return path
+
+  if (typeof params.x === 'number' && typeof params.y === 'number') {
+    return { left: params.x, top: params.y, right: params.x, bottom: params.y }
+  }
+
+  return null
+}
+
+function offsetBounds (bounds, dx, dy) {
+  return {
+    left: bounds.left + dx,
+    top: bounds.top + dy,
+    right: bounds.right + dx,
+    bottom: bounds.bottom + dy
+  }
+}
+
+// Edges count as intersecting, so text origins on a border are kept
+function intersects (a, b) {
+  return a.left <= b.right && a.right >= b.left && a.top <= b.bottom && a.bottom >= b.top
+}
+
+function contains (outer, inner) {
+  return inner.left >= outer.left && inner.right <= outer.right &&
+    inner.top >= outer.top && inner.bottom <= outer.bottom
+}
+
+// Copy of a command with all of its coordinates moved by (dx, dy)
+function offsetCommand (cmd, dx, dy) {
+  const params = { ...cmd.params }
+
+  for (const key of RECT_PARAMS) {
+    if (params[key] && typeof params[key].left === 'number') {
+      params[key] = {
+        ...params[key],
+        left: params[key].left + dx,
+        top: params[key].top + dy,
+        right: params[key].right + dx,
+        bottom: params[key].bottom + dy
+      }
+    }
+  }
+
+  if (edges(params.path?.bounds)) {
+    params.path = {
+      ...params.path,
+      bounds: offsetBounds(params.path.bounds, dx, dy),
+      pointsAndVerbs: params.path.pointsAndVerbs?.map(entry => entry.points
+        ? { ...entry, points: entry.points.map(point => ({ ...point, x: point.x + dx, y: point.y + dy })) }
+        : entry)
+    }
+  }
+
+  if (typeof params.x === 'number' && typeof params.y === 'number') {
+    params.x += dx
+    params.y += dy
+  }
+
+  return { ...cmd, params }
+}
+
+// Calls visit(cmd, { dx, dy }) for every command with the translation in effect
+// when it runs, following translate commands through save/restore blocks
+function walkCommands (commands, visit) {
+  const stack = []
+  let offset = { dx: 0, dy: 0 }
+
+  commands.forEach((cmd, index) => {
+    visit(cmd, offset, index)
+
+    if (SAVE_METHODS.includes(cmd.method)) {
+      stack.push(offset)
+    } else if (RESTORE_METHODS.includes(cmd.method)) {
+      offset = stack.pop() || { dx: 0, dy: 0 }
+    } else if (cmd.method === 'translate') {
+      offset = {
+        dx: offset.dx + (cmd.params?.dx || 0),
+        dy: offset.dy + (cmd.params?.dy || 0)
+      }
+    }
+  })
+}
+
+// Drops save/restore blocks that end up without any drawing in them
+function pruneEmptyBlocks (commands) {
+  const result = []
+  const starts = []
+
+  for (const cmd of commands) {
+    if (SAVE_METHODS.includes(cmd.method)) {
+      starts.push(result.length)
+      result.push(cmd)
+    } else if (RESTORE_METHODS.includes(cmd.method)) {
+      const start = starts.pop()
+      const block = start === undefined ? [] : result.slice(start + 1)
+      const draws = block.some(inner => inner.method.startsWith('draw'))
+
+      if (start !== undefined && !draws) {
+        result.length = start
+      } else {
+        result.push(cmd)
+      }
+    } else {
+      result.push(cmd)
+    }
+  }
+
+  return result
+}
+
+export {
+  SAVE_METHODS,
+  RESTORE_METHODS,
+  commandBounds,
+  offsetBounds,
+  intersects,
+  contains,
+  offsetCommand,
+  walkCommands,
+  pruneEmptyBlocks
+}
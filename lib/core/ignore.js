@@ -0,0 +1,161 @@
+import { layerOrigins } from './layer-tree.js'
+import {
+  SAVE_METHODS,
+  RESTORE_METHODS,
+  commandBounds,
+  offsetBounds,
+  contains,
+  walkCommands,
+  pruneEmptyBlocks
+} from './geometry.js'
+
+// Fill used for masked regions in pixel mode
+const MASK_COLOR = [255, 0, 255, 255]
+
+// Runs in the page: page-coordinate rects of every element matching each selector
+function collectElementRects (selectors) {
+  const scroll = { x: window.scrollX, y: window.scrollY }
+  return {
+    scroll,
+    devicePixelRatio: window.devicePixelRatio,
+    rects: selectors.map(selector => Array.from(document.querySelectorAll(selector)).map(element => {
+      const rect = element.getBoundingClientRect()
+      return {
+        left: rect.left + scroll.x,
+        top: rect.top + scroll.y,
+        right: rect.right + scroll.x,
+        bottom: rect.bottom + scroll.y
+      }
+    }))
+  }
+}
+
+// drawTextBlob commands of the layers showing script source rather than page
+// text; the service's default ignore rule. The page's text boxes are real copy,
+// so it leaves them alone.
+const SCRIPT_TEXT_RULE = {
+  method: 'drawTextBlob',
+  text: 'const |let |var |function|document\\.|window\\.|=>|^[\\s\\S]{501}',
+  layersOnly: true
+}
+
+// Rules are { selector }, { rect }, { method, params, text } or a function taking
+// a command. layersOnly: true keeps a rule away from the text commands.
+function selectorsOf (rules) {
+  return rules.filter(rule => rule.selector).map(rule => rule.selector)
+}
+
+// Page-coordinate regions to ignore, from rect rules and the rects found for selector rules
+function ignoreRegions (rules, selectorRects = []) {
+  return [
+    ...rules.filter(rule => rule.rect).map(rule => rule.rect),
+    ...selectorRects.flat()
+  ]
+}
+
+function matchesPartial (value, expected) {
+  if (expected && typeof expected === 'object') {
+    return !!value && typeof value === 'object' &&
+      Object.entries(expected).every(([key, inner]) => matchesPartial(value[key], inner))
+  }
+  return value === expected
+}
+
+function matchesCommand (rule, cmd) {
+  if (typeof rule === 'function') return !!rule(cmd)
+  if (typeof rule.predicate === 'function') return !!rule.predicate(cmd)
+  if (!rule.method && !rule.params && !rule.text) return false
+
+  if (rule.method && rule.method !== cmd.method) return false
+  if (rule.params && !matchesPartial(cmd.params, rule.params)) return false
+  if (rule.text && !new RegExp(rule.text).test(cmd.params?.text || '')) return false
+  return true
+}
+
+function filterCommands (commands, rules, regions, origin = { x: 0, y: 0 }) {
+  const kept = []
+  let dropped = 0
+
+  walkCommands(commands, (cmd, offset) => {
+    const structural = SAVE_METHODS.includes(cmd.method) ||
+      RESTORE_METHODS.includes(cmd.method) ||
+      cmd.method === 'translate'
+
+    if (!structural) {
+      const bounds = commandBounds(cmd)
+      // Only commands fully inside a region, so page backgrounds behind it survive
+      const inRegion = bounds && regions.some(region =>
+        contains(region, offsetBounds(bounds, origin.x + offset.dx, origin.y + offset.dy))
+      )
+
+      if (inRegion || rules.some(rule => matchesCommand(rule, cmd))) {
+        dropped++
+        return
+      }
+    }
+
+    kept.push(cmd)
+  })
+
+  return { commands: dropped > 0 ? pruneEmptyBlocks(kept) : kept, dropped }
+}
+
+// Drops commands matching a rule or drawn inside an ignored region
+function applyIgnoreRules ({ layers, textCommands = [] }, rules, regions) {
+  const origins = layerOrigins(layers)
+  let dropped = 0
+
+  const filteredLayers = layers.map(layer => {
+    const result = filterCommands(layer.commands, rules, regions, origins.get(layer.id))
+    dropped += result.dropped
+    return { ...layer, commands: result.commands }
+  })
+
+  const text = filterCommands(textCommands, rules.filter(rule => !rule.layersOnly), regions)
+  dropped += text.dropped
+
+  return { layers: filteredLayers, textCommands: text.commands, dropped }
+}
+
+// Serializable description of the rules, stored with the snapshot
+function describeIgnoreRules (rules) {
+  return rules.map(rule => {
+    if (typeof rule === 'function') return { predicate: rule.name || 'anonymous' }
+    if (typeof rule.predicate === 'function') return { ...rule, predicate: rule.predicate.name || 'anonymous' }
+    if (rule.text instanceof RegExp) return { ...rule, text: rule.text.source }
+    return rule
+  })
+}
+
+// Paints regions over PNG data (pngjs layout), so both images compare equal there.
+// Regions are in CSS pixels relative to origin.
+function maskRegions (png, regions, { origin = { x: 0, y: 0 }, scale = 1 } = {}) {
+  for (const region of regions) {
+    const left = Math.max(0, Math.floor((region.left - origin.x) * scale))
+    const top = Math.max(0, Math.floor((region.top - origin.y) * scale))
+    const right = Math.min(png.width, Math.ceil((region.right - origin.x) * scale))
+    const bottom = Math.min(png.height, Math.ceil((region.bottom - origin.y) * scale))
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        const index = (y * png.width + x) * 4
+        MASK_COLOR.forEach((value, channel) => {
+          png.data[index + channel] = value
+        })
+      }
+    }
+  }
+
+  return png
+}
+
+export {
+  SCRIPT_TEXT_RULE,
+  collectElementRects,
+  selectorsOf,
+  ignoreRegions,
+  matchesCommand,
+  applyIgnoreRules,
+  describeIgnoreRules,
+  maskRegions
+}
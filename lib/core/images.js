@@ -0,0 +1,246 @@
+import crypto from 'crypto'
+import { layerOrigins } from './layer-tree.js'
+import { offsetBounds, walkCommands } from './geometry.js'
+
+// Image draws are matched to an element when they fall inside its box, give or take this much
+const MATCH_SLACK = 1
+
+// Runs in the page: every image source that paints, with its element's box in
+// page coordinates. Canvas and video frames are read out as data URLs, which
+// fails for tainted ones.
+function collectImageSources () {
+  const scroll = { x: window.scrollX, y: window.scrollY }
+  const boxOf = element => {
+    const rect = element.getBoundingClientRect()
+    return {
+      left: rect.left + scroll.x,
+      top: rect.top + scroll.y,
+      right: rect.right + scroll.x,
+      bottom: rect.bottom + scroll.y
+    }
+  }
+  const frameOf = (source, width, height) => {
+    try {
+      const canvas = document.createElement('canvas')
+      canvas.width = width
+      canvas.height = height
+      canvas.getContext('2d').drawImage(source, 0, 0)
+      return canvas.toDataURL('image/png')
+    } catch (e) {
+      return null
+    }
+  }
+
+  const sources = []
+  for (const element of document.querySelectorAll('*')) {
+    const tag = element.tagName.toLowerCase()
+
+    if (tag === 'img' && element.currentSrc) {
+      sources.push({ kind: 'img', url: element.currentSrc, bounds: boxOf(element) })
+    } else if (tag === 'canvas') {
+      let dataURL = null
+      try {
+        dataURL = element.toDataURL('image/png')
+      } catch (e) {}
+      sources.push({ kind: 'canvas', dataURL, bounds: boxOf(element) })
+    } else if (tag === 'video' && element.readyState >= 2) {
+      sources.push({
+        kind: 'video',
+        url: element.currentSrc,
+        time: element.currentTime,
+        dataURL: frameOf(element, element.videoWidth, element.videoHeight),
+        bounds: boxOf(element)
+      })
+    }
+
+    const background = getComputedStyle(element).backgroundImage
+    for (const [, url] of background.matchAll(/url\("?([^")]+)"?\)/g)) {
+      sources.push({ kind: 'background', url, bounds: boxOf(element) })
+    }
+  }
+
+  return sources
+}
+
+// Where a frame's document starts in page coordinates: the content box of its
+// frame element, less the frame's own scroll
+function frameOrigin (frame, origins) {
+  if (!frame.parentFrame()) return { x: 0, y: 0 }
+  if (!origins.has(frame)) {
+    origins.set(frame, (async () => {
+      const parent = await frameOrigin(frame.parentFrame(), origins)
+      const element = await frame.frameElement()
+      const box = await element.evaluate(element => {
+        const rect = element.getBoundingClientRect()
+        const style = getComputedStyle(element)
+        return {
+          x: rect.left + element.clientLeft + parseFloat(style.paddingLeft) + window.scrollX,
+          y: rect.top + element.clientTop + parseFloat(style.paddingTop) + window.scrollY
+        }
+      })
+      const scroll = await frame.evaluate(() => ({ x: window.scrollX, y: window.scrollY }))
+      return { x: parent.x + box.x - scroll.x, y: parent.y + box.y - scroll.y }
+    })())
+  }
+  return origins.get(frame)
+}
+
+// collectImageSources() for the page and every frame in it, with the boxes in
+// page coordinates
+async function collectFrameImageSources (page) {
+  const origins = new Map()
+  const sources = []
+
+  for (const frame of page.frames()) {
+    try {
+      const origin = await frameOrigin(frame, origins)
+      const frameSources = await frame.evaluate(collectImageSources)
+      sources.push(...frameSources.map(source => ({ ...source, bounds: offsetBounds(source.bounds, origin.x, origin.y) })))
+    } catch (e) {
+      // Frames can detach while they are read
+      if (!frame.parentFrame()) throw e
+    }
+  }
+
+  return sources
+}
+
+// Url of every loaded resource to the frame holding it. Page.getResourceContent
+// only finds a resource in the frame that loaded it.
+function resourceFrames (frameTree, frames = new Map()) {
+  const { frame, resources = [], childFrames = [] } = frameTree
+  if (!frames.has(frame.url)) frames.set(frame.url, frame.id)
+  for (const resource of resources) {
+    if (!frames.has(resource.url)) frames.set(resource.url, frame.id)
+  }
+  childFrames.forEach(child => resourceFrames(child, frames))
+  return frames
+}
+
+function hashBytes (data) {
+  return crypto.createHash('sha256').update(data).digest('hex').substring(0, 16)
+}
+
+function dataUrlBytes (dataURL) {
+  const comma = dataURL.indexOf(',')
+  const header = dataURL.slice(0, comma)
+  const body = dataURL.slice(comma + 1)
+  return header.endsWith(';base64') ? Buffer.from(body, 'base64') : Buffer.from(decodeURIComponent(body))
+}
+
+// Content hash of every collected source. Resources come from the renderer's
+// cache through Page.getResourceContent, asked of the frame that loaded them,
+// so cross-origin images work too. Sources that can't be read get a null hash.
+async function fingerprintImages (client, sources) {
+  const { frameTree } = await client.send('Page.getResourceTree')
+  const frames = resourceFrames(frameTree)
+  const byUrl = new Map()
+
+  const hashUrl = async (url) => {
+    if (url.startsWith('data:')) return hashBytes(dataUrlBytes(url))
+    if (!byUrl.has(url)) {
+      const frameId = frames.get(url) || frameTree.frame.id
+      byUrl.set(url, client.send('Page.getResourceContent', { frameId, url })
+        .then(({ content, base64Encoded }) => hashBytes(Buffer.from(content, base64Encoded ? 'base64' : 'utf8')))
+        .catch(() => null))
+    }
+    return byUrl.get(url)
+  }
+
+  const images = []
+  for (const source of sources) {
+    let hash = null
+    if (source.dataURL) {
+      hash = hashBytes(dataUrlBytes(source.dataURL))
+    } else if (source.kind === 'video') {
+      // Without pixels, the source and position of the frame are all there is
+      hash = source.url ? hashBytes(`${await hashUrl(source.url)}@${source.time}`) : null
+    } else if (source.url) {
+      hash = await hashUrl(source.url)
+    }
+
+    images.push({
+      kind: source.kind,
+      source: source.url && !source.url.startsWith('data:') ? source.url : source.kind,
+      bounds: source.bounds,
+      hash
+    })
+  }
+
+  return images
+}
+
+function isImageDraw (cmd) {
+  return /^draw(Image|Bitmap)/.test(cmd.method)
+}
+
+// Destination of an image draw in its own coordinate space
+function imageBounds (params) {
+  if (params.dst && typeof params.dst.left === 'number') return params.dst
+  if (typeof params.left === 'number' && params.image?.width) {
+    return {
+      left: params.left,
+      top: params.top,
+      right: params.left + params.image.width,
+      bottom: params.top + params.image.height
+    }
+  }
+  return null
+}
+
+function area ({ left, top, right, bottom }) {
+  return Math.max(0, right - left) * Math.max(0, bottom - top)
+}
+
+function imageFor (images, bounds) {
+  let best = null
+  for (const image of images) {
+    const box = image.bounds
+    const inside = bounds.left >= box.left - MATCH_SLACK && bounds.right <= box.right + MATCH_SLACK &&
+      bounds.top >= box.top - MATCH_SLACK && bounds.bottom <= box.bottom + MATCH_SLACK
+    if (inside && (!best || area(box) < area(best.bounds))) best = image
+  }
+  return best
+}
+
+// Adds the content hash of the image it draws to every image command, as
+// params.contentHash, so swapping the pixels changes the snapshot. Images no
+// command was found for (e.g. canvases composited as their own layer) are
+// returned as extra drawImageRect commands.
+function embedImageHashes ({ layers }, images) {
+  const origins = layerOrigins(layers)
+  const used = new Set()
+  let matched = 0
+
+  const hashedLayers = layers.map(layer => {
+    const origin = origins.get(layer.id) || { x: 0, y: 0 }
+    const commands = []
+
+    walkCommands(layer.commands, (cmd, offset) => {
+      const bounds = isImageDraw(cmd) && imageBounds(cmd.params || {})
+      const image = bounds && imageFor(images, offsetBounds(bounds, origin.x + offset.dx, origin.y + offset.dy))
+      if (!image || !image.hash) {
+        commands.push(cmd)
+        return
+      }
+
+      used.add(image)
+      matched++
+      commands.push({ ...cmd, params: { ...cmd.params, contentHash: image.hash }, imageSource: image.source })
+    })
+
+    return { ...layer, commands }
+  })
+
+  const imageCommands = images
+    .filter(image => image.hash && !used.has(image))
+    .map(image => ({
+      method: 'drawImageRect',
+      params: { dst: image.bounds, contentHash: image.hash },
+      imageSource: image.source
+    }))
+
+  return { layers: hashedLayers, imageCommands, matched }
+}
+
+export { collectImageSources, collectFrameImageSources, fingerprintImages, embedImageHashes }
@@ -0,0 +1,294 @@
+import crypto from 'crypto'
+
+// CDP ids and paint counters change between identical runs, so they never take part in hashes or diffs
+const VOLATILE_PROPERTIES = ['layerId', 'parentLayerId', 'backendNodeId', 'paintCount', 'steps']
+
+// Annotations on commands that describe where they come from, not what they paint
+const ANNOTATION_PROPERTIES = ['node', 'imageSource']
+
+// Layer properties compared by diffLayerTrees(), in report order
+const COMPARED_PROPERTIES = [
+  'parentId',
+  'bounds',
+  'transform',
+  'anchor',
+  'drawsContent',
+  'invisible',
+  'scrollRects',
+  'stickyPositionConstraint'
+]
+
+// Layers of the next layer tree update, or [] when none comes within timeout
+async function waitForLayerTree (client, page, timeout = 1000) {
+  let onChange
+  let timer
+  const layerPromise = new Promise(resolve => {
+    onChange = (params) => {
+      if (params.layers) resolve(params.layers)
+    }
+    client.on('LayerTree.layerTreeDidChange', onChange)
+  })
+
+  try {
+    // Trigger layer tree update
+    await page.evaluate(() => {
+      window.scrollBy(0, 1)
+      window.scrollBy(0, -1)
+    })
+
+    return await Promise.race([
+      layerPromise,
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve([]), timeout)
+      })
+    ])
+  } finally {
+    // Called once per stable capture sample, so nothing may outlive the call
+    client.off('LayerTree.layerTreeDidChange', onChange)
+    clearTimeout(timer)
+  }
+}
+
+function parseCommandLog (commandLog) {
+  let commands = null
+  if (typeof commandLog === 'string') {
+    try {
+      commands = JSON.parse(commandLog)
+    } catch (e) {}
+  } else if (Array.isArray(commandLog)) {
+    commands = commandLog
+  } else if (commandLog && typeof commandLog === 'object') {
+    commands = commandLog.commands || [commandLog]
+  }
+
+  return Array.isArray(commands) ? commands : []
+}
+
+// Turns CDP layers into records with ids that stay the same between runs, while
+// CDP layer ids do not. A layer owned by an element is named by the element's
+// selector (owners maps backend node ids to selectors), "@2" on for further
+// layers of the same selector. Other layers are numbered among their parent's
+// unowned children ("0/2"). A layer inserted for one element doesn't renumber
+// the layers of the others.
+function describeLayers (cdpLayers, owners = new Map()) {
+  const byLayerId = new Map(cdpLayers.map(layer => [layer.layerId, layer]))
+  const unownedCount = new Map()
+  const ownedCount = new Map()
+  const paths = new Map()
+
+  for (const layer of cdpLayers) {
+    const owner = owners.get(layer.backendNodeId)
+    if (owner) {
+      const count = (ownedCount.get(owner) || 0) + 1
+      ownedCount.set(owner, count)
+      paths.set(layer.layerId, count > 1 ? `${owner}@${count}` : owner)
+      continue
+    }
+
+    const parentKey = byLayerId.has(layer.parentLayerId) ? layer.parentLayerId : null
+    const index = unownedCount.get(parentKey) || 0
+    unownedCount.set(parentKey, index + 1)
+
+    const parentPath = parentKey ? paths.get(parentKey) : null
+    paths.set(layer.layerId, parentPath ? `${parentPath}/${index}` : `${index}`)
+  }
+
+  return cdpLayers.map(layer => ({
+    id: paths.get(layer.layerId),
+    parentId: paths.get(layer.parentLayerId) || null,
+    layerId: layer.layerId,
+    parentLayerId: layer.parentLayerId || null,
+    backendNodeId: layer.backendNodeId || null,
+    bounds: {
+      x: layer.offsetX,
+      y: layer.offsetY,
+      width: layer.width,
+      height: layer.height
+    },
+    transform: layer.transform || null,
+    anchor: layer.anchorX === undefined
+      ? null
+      : { x: layer.anchorX, y: layer.anchorY, z: layer.anchorZ },
+    drawsContent: layer.drawsContent,
+    invisible: !!layer.invisible,
+    scrollRects: layer.scrollRects || [],
+    stickyPositionConstraint: layer.stickyPositionConstraint || null,
+    paintCount: layer.paintCount,
+    commands: []
+  }))
+}
+
+// onSnapshot(snapshotId, commands) runs before the snapshot is released, e.g. to replay it
+async function snapshotCommands (client, layerId, onSnapshot = null) {
+  const { snapshotId } = await client.send('LayerTree.makeSnapshot', { layerId })
+
+  try {
+    const { commandLog } = await client.send('LayerTree.snapshotCommandLog', { snapshotId })
+    const commands = parseCommandLog(commandLog)
+    if (onSnapshot) await onSnapshot(snapshotId, commands)
+    return commands
+  } finally {
+    await client.send('LayerTree.releaseSnapshot', { snapshotId })
+  }
+}
+
+// Short hash of every command as logged, in step order. Stored with the layer as
+// steps, so replays can tell which steps changed however the commands were
+// processed after the capture.
+function stepHashes (commands) {
+  return commands.map(cmd => crypto.createHash('sha256').update(JSON.stringify(cmd)).digest('hex').substring(0, 8))
+}
+
+async function captureLayerTree (client, cdpLayers, { owners, onSnapshot = null, log = () => {} } = {}) {
+  const layers = describeLayers(cdpLayers, owners)
+
+  for (const layer of layers) {
+    try {
+      layer.commands = await snapshotCommands(
+        client,
+        layer.layerId,
+        onSnapshot && ((snapshotId, commands) => onSnapshot(layer, snapshotId, commands))
+      )
+      layer.steps = stepHashes(layer.commands)
+      log(`Layer ${layer.id}: ${layer.commands.length} paint operations`)
+    } catch (e) {
+      log(`Layer ${layer.id}: Could not snapshot (${e.message})`)
+    }
+  }
+
+  return layers
+}
+
+// Page coordinates of every layer's origin, adding up offsets along the parent chain.
+// Layer transforms are not applied.
+function layerOrigins (layers) {
+  const byId = new Map(layers.map(layer => [layer.id, layer]))
+  const origins = new Map()
+
+  const originOf = (layer) => {
+    if (origins.has(layer.id)) return origins.get(layer.id)
+    const parent = layer.parentId ? byId.get(layer.parentId) : null
+    const parentOrigin = parent ? originOf(parent) : { x: 0, y: 0 }
+    const origin = {
+      x: parentOrigin.x + (layer.bounds?.x || 0),
+      y: parentOrigin.y + (layer.bounds?.y || 0)
+    }
+    origins.set(layer.id, origin)
+    return origin
+  }
+
+  layers.forEach(originOf)
+  return origins
+}
+
+// Commands in paint order, for snapshots with layers as well as older flat ones
+function flattenCommands (snapshot) {
+  if (!snapshot.layers) return snapshot.commands || []
+  return snapshot.layers
+    .flatMap(layer => layer.commands || [])
+    .concat(snapshot.textCommands || [], snapshot.imageCommands || [])
+}
+
+// What a command paints, without annotations
+function paintContent (cmd) {
+  if (!ANNOTATION_PROPERTIES.some(property => property in cmd)) return cmd
+  const content = { ...cmd }
+  ANNOTATION_PROPERTIES.forEach(property => delete content[property])
+  return content
+}
+
+// Commands painting the same thing share a key
+function commandKey (cmd) {
+  return JSON.stringify(paintContent(cmd))
+}
+
+function sameCommands (a = [], b = []) {
+  return a.length === b.length && a.every((cmd, i) => commandKey(cmd) === commandKey(b[i]))
+}
+
+function stripVolatile (layer) {
+  const stable = { ...layer }
+  VOLATILE_PROPERTIES.forEach(property => delete stable[property])
+  if (stable.commands) stable.commands = stable.commands.map(paintContent)
+  return stable
+}
+
+function hashLayers (layers, extraCommands = []) {
+  const content = JSON.stringify({ layers: layers.map(stripVolatile), extraCommands: extraCommands.map(paintContent) })
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16)
+}
+
+function describeChange (id, property, baseline, actual) {
+  if (baseline === null || baseline === false) return `layer ${id} gained ${property}`
+  if (actual === null || actual === false) return `layer ${id} lost ${property}`
+  return `layer ${id} changed ${property}`
+}
+
+function diffLayerTrees (baselineLayers = [], actualLayers = []) {
+  const baselineById = new Map(baselineLayers.map(layer => [layer.id, layer]))
+  const actualById = new Map(actualLayers.map(layer => [layer.id, layer]))
+
+  const diff = {
+    added: [],
+    removed: [],
+    changed: []
+  }
+
+  for (const layer of actualLayers) {
+    if (!baselineById.has(layer.id)) {
+      diff.added.push({ id: layer.id, bounds: layer.bounds, description: `layer ${layer.id} added` })
+    }
+  }
+
+  for (const baseline of baselineLayers) {
+    const actual = actualById.get(baseline.id)
+    if (!actual) {
+      diff.removed.push({ id: baseline.id, bounds: baseline.bounds, description: `layer ${baseline.id} removed` })
+      continue
+    }
+
+    for (const property of COMPARED_PROPERTIES) {
+      if (JSON.stringify(baseline[property]) !== JSON.stringify(actual[property])) {
+        diff.changed.push({
+          id: baseline.id,
+          property,
+          baseline: baseline[property],
+          actual: actual[property],
+          description: describeChange(baseline.id, property, baseline[property], actual[property])
+        })
+      }
+    }
+
+    const baselineCount = (baseline.commands || []).length
+    const actualCount = (actual.commands || []).length
+    if (!sameCommands(baseline.commands, actual.commands)) {
+      diff.changed.push({
+        id: baseline.id,
+        property: 'commands',
+        baseline: baselineCount,
+        actual: actualCount,
+        description: `layer ${baseline.id} paint commands changed (${baselineCount} → ${actualCount})`
+      })
+    }
+  }
+
+  return diff
+}
+
+export {
+  VOLATILE_PROPERTIES,
+  ANNOTATION_PROPERTIES,
+  waitForLayerTree,
+  parseCommandLog,
+  describeLayers,
+  snapshotCommands,
+  stepHashes,
+  captureLayerTree,
+  layerOrigins,
+  flattenCommands,
+  paintContent,
+  commandKey,
+  sameCommands,
+  hashLayers,
+  diffLayerTrees
+}
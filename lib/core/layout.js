@@ -0,0 +1,147 @@
+import crypto from 'crypto'
+import { forEachDocument } from './dom-nodes.js'
+import { contains } from './geometry.js'
+
+// Computed styles stored per element in layout mode, unless configured otherwise
+const DEFAULT_LAYOUT_STYLES = [
+  'display',
+  'position',
+  'visibility',
+  'float',
+  'overflow',
+  'box-sizing',
+  'margin-top',
+  'margin-right',
+  'margin-bottom',
+  'margin-left',
+  'padding-top',
+  'padding-right',
+  'padding-bottom',
+  'padding-left',
+  'font-size',
+  'line-height',
+  'z-index'
+]
+
+const ELEMENT_NODE = 1
+
+function round (value) {
+  return Math.round(value * 100) / 100
+}
+
+// One record per laid out element, in document order, keyed by its selector
+// path plus a counter for paths that repeat: "ul > li", "ul > li (2)", ...
+async function captureLayout (client, { styles = DEFAULT_LAYOUT_STYLES } = {}) {
+  const snapshot = await client.send('DOMSnapshot.captureSnapshot', { computedStyles: styles })
+  const seen = new Map()
+  const nodes = []
+
+  forEachDocument(snapshot, ({ nodes: domNodes, layout }, { selectorOf, place }) => {
+    layout.nodeIndex.forEach((nodeIndex, i) => {
+      const selector = domNodes.nodeType[nodeIndex] === ELEMENT_NODE && selectorOf(nodeIndex)
+      if (!selector) return
+
+      const count = (seen.get(selector) || 0) + 1
+      seen.set(selector, count)
+
+      const bounds = place(layout.bounds[i])
+      nodes.push({
+        key: count === 1 ? selector : `${selector} (${count})`,
+        node: selector,
+        bounds: {
+          x: round(bounds.left),
+          y: round(bounds.top),
+          width: round(bounds.right - bounds.left),
+          height: round(bounds.bottom - bounds.top)
+        },
+        styles: Object.fromEntries(styles.map((name, s) => {
+          const index = layout.styles[i]?.[s]
+          return [name, index >= 0 ? snapshot.strings[index] : '']
+        }))
+      })
+    })
+  })
+
+  return nodes
+}
+
+function edges ({ x, y, width, height }) {
+  return { left: x, top: y, right: x + width, bottom: y + height }
+}
+
+// Drops elements that lie entirely inside one of the page-coordinate regions
+function ignoreLayoutRegions (nodes, regions) {
+  return nodes.filter(node => !regions.some(region => contains(region, edges(node.bounds))))
+}
+
+// Keeps the elements inside box, positioned relative to it
+function scopeLayout (nodes, box) {
+  // Bounds are rounded, so the element itself may poke out of its own box a little
+  const outer = { left: box.left - 0.5, top: box.top - 0.5, right: box.right + 0.5, bottom: box.bottom + 0.5 }
+  return nodes
+    .filter(node => contains(outer, edges(node.bounds)))
+    .map(node => ({
+      ...node,
+      bounds: { ...node.bounds, x: round(node.bounds.x - box.left), y: round(node.bounds.y - box.top) }
+    }))
+}
+
+function hashLayout (nodes) {
+  return crypto.createHash('sha256').update(JSON.stringify(nodes)).digest('hex').substring(0, 16)
+}
+
+// Node by node comparison. Geometry within epsilon px counts as equal.
+function diffLayout (baselineNodes = [], actualNodes = [], { epsilon = 0 } = {}) {
+  const baselineByKey = new Map(baselineNodes.map(node => [node.key, node]))
+  const actualByKey = new Map(actualNodes.map(node => [node.key, node]))
+
+  const diff = {
+    added: actualNodes.filter(node => !baselineByKey.has(node.key)).map(node => ({
+      key: node.key,
+      bounds: node.bounds,
+      description: `${node.key}: added`
+    })),
+    removed: baselineNodes.filter(node => !actualByKey.has(node.key)).map(node => ({
+      key: node.key,
+      bounds: node.bounds,
+      description: `${node.key}: removed`
+    })),
+    changed: []
+  }
+
+  for (const baseline of baselineNodes) {
+    const actual = actualByKey.get(baseline.key)
+    if (!actual) continue
+
+    for (const property of ['x', 'y', 'width', 'height']) {
+      const before = baseline.bounds[property]
+      const after = actual.bounds[property]
+      if (Math.abs(before - after) > epsilon) {
+        diff.changed.push({
+          key: baseline.key,
+          property,
+          baseline: before,
+          actual: after,
+          description: `${baseline.key}: ${property} ${before} → ${after}`
+        })
+      }
+    }
+
+    const styleNames = new Set([...Object.keys(baseline.styles), ...Object.keys(actual.styles)])
+    for (const name of styleNames) {
+      if (baseline.styles[name] !== actual.styles[name]) {
+        diff.changed.push({
+          key: baseline.key,
+          property: name,
+          baseline: baseline.styles[name],
+          actual: actual.styles[name],
+          description: `${baseline.key}: ${name} ${baseline.styles[name]} → ${actual.styles[name]}`
+        })
+      }
+    }
+  }
+
+  return diff
+}
+
+export { DEFAULT_LAYOUT_STYLES, captureLayout, ignoreLayoutRegions, scopeLayout, hashLayout, diffLayout }
@@ -0,0 +1,204 @@
+import crypto from 'crypto'
+import { SAVE_METHODS, RESTORE_METHODS } from './geometry.js'
+import { VOLATILE_PROPERTIES, commandKey } from './layer-tree.js'
+import { diffCommands } from './command-diff.js'
+import { describeModification } from './param-diff.js'
+
+function hash (content) {
+  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16)
+}
+
+// One node per save/restore block, spanning commands start..end (inclusive).
+// own hashes the block's direct commands with a placeholder per child block;
+// hash covers the whole subtree.
+function buildBlock (commands, start, end, children) {
+  const own = []
+  let childIndex = 0
+  for (let i = start; i <= end; i++) {
+    const child = children[childIndex]
+    if (child && i === child.start) {
+      own.push('#')
+      i = child.end
+      childIndex++
+    } else {
+      own.push(hash(commandKey(commands[i])))
+    }
+  }
+
+  const ownHash = hash(own.join(','))
+  return {
+    hash: hash([ownHash, ...children.map(child => child.hash)].join(',')),
+    own: ownHash,
+    start,
+    end,
+    children
+  }
+}
+
+function blockTree (commands = []) {
+  // Children collected per open block, the outermost being the list itself
+  const stack = [{ start: 0, children: [] }]
+
+  commands.forEach((cmd, index) => {
+    if (SAVE_METHODS.includes(cmd.method)) {
+      stack.push({ start: index, children: [] })
+    } else if (RESTORE_METHODS.includes(cmd.method) && stack.length > 1) {
+      const open = stack.pop()
+      stack[stack.length - 1].children.push(buildBlock(commands, open.start, index, open.children))
+    }
+  })
+
+  // Blocks never restored run to the end of the list
+  while (stack.length > 1) {
+    const open = stack.pop()
+    stack[stack.length - 1].children.push(buildBlock(commands, open.start, commands.length - 1, open.children))
+  }
+
+  return buildBlock(commands, 0, commands.length - 1, stack[0].children)
+}
+
+function layerProperties (layer) {
+  const properties = { ...layer }
+  VOLATILE_PROPERTIES.forEach(property => delete properties[property])
+  delete properties.commands
+  return properties
+}
+
+// Hashes per layer and per save/restore block, plus the text and image commands
+// kept outside the layers. Identical subtrees have identical hashes, so a
+// comparison only has to look into the ones that differ.
+function buildMerkleTree ({ layers = [], textCommands = [], imageCommands = [] }) {
+  const layerNodes = layers.map(layer => {
+    const properties = hash(JSON.stringify(layerProperties(layer)))
+    const commands = blockTree(layer.commands)
+    return { id: layer.id, hash: hash(`${properties},${commands.hash}`), properties, commands }
+  })
+  const text = blockTree(textCommands)
+  const images = blockTree(imageCommands)
+
+  return {
+    hash: hash([...layerNodes.map(layer => `${layer.id}:${layer.hash}`), text.hash, images.hash].join(',')),
+    layers: layerNodes,
+    text,
+    images
+  }
+}
+
+// The smallest blocks whose own commands differ, or whose block structure does
+function changedBlocks (baseline, actual, path, changes) {
+  if (baseline.hash === actual.hash) return changes
+
+  const sameShape = baseline.children.length === actual.children.length
+  if (baseline.own !== actual.own || !sameShape) {
+    changes.push({
+      path,
+      baseline: { start: baseline.start, end: baseline.end },
+      actual: { start: actual.start, end: actual.end }
+    })
+    return changes
+  }
+
+  baseline.children.forEach((child, i) => {
+    changedBlocks(child, actual.children[i], `${path} > block@${actual.children[i].start}`, changes)
+  })
+  return changes
+}
+
+// Where two snapshots differ, as command ranges per layer (or 'text' and
+// 'images'): { list, path, baseline: { start, end }, actual: { start, end } }.
+// Layers whose properties changed are listed as { list, properties: true }.
+function localizeChanges (baselineTree, actualTree) {
+  const changes = []
+  if (baselineTree.hash === actualTree.hash) return changes
+
+  const actualById = new Map(actualTree.layers.map(layer => [layer.id, layer]))
+  const baselineIds = new Set(baselineTree.layers.map(layer => layer.id))
+  const pairs = [
+    ...baselineTree.layers.map(layer => [layer.id, layer.commands, actualById.get(layer.id)?.commands]),
+    ...actualTree.layers.filter(layer => !baselineIds.has(layer.id)).map(layer => [layer.id, null, layer.commands]),
+    ['text', baselineTree.text, actualTree.text],
+    ['images', baselineTree.images, actualTree.images]
+  ]
+
+  for (const layer of baselineTree.layers) {
+    const actual = actualById.get(layer.id)
+    if (actual && actual.properties !== layer.properties) {
+      changes.push({ list: layer.id, properties: true })
+    }
+  }
+
+  for (const [list, baseline, actual] of pairs) {
+    // Added and removed layers change as a whole
+    if (!baseline || !actual) {
+      changes.push({
+        list,
+        path: `layer ${list}`,
+        baseline: baseline && { start: baseline.start, end: baseline.end },
+        actual: actual && { start: actual.start, end: actual.end }
+      })
+      continue
+    }
+    changedBlocks(baseline, actual, list === 'text' || list === 'images' ? list : `layer ${list}`, [])
+      .forEach(change => changes.push({ list, ...change }))
+  }
+
+  return changes
+}
+
+// Commands of a snapshot per list, with where each list starts in flattenCommands order
+function commandLists ({ layers = [], textCommands = [], imageCommands = [] }) {
+  const lists = new Map()
+  let offset = 0
+  const all = [...layers.map(layer => [layer.id, layer.commands || []]), ['text', textCommands], ['images', imageCommands]]
+  for (const [list, commands] of all) {
+    lists.set(list, { commands, offset })
+    offset += commands.length
+  }
+  return lists
+}
+
+function slice (lists, list, range) {
+  const entry = lists.get(list)
+  if (!entry || !range || range.end < range.start) return { commands: [], offset: 0 }
+  return { commands: entry.commands.slice(range.start, range.end + 1), offset: entry.offset + range.start }
+}
+
+// Same shape as diffCommands over the flattened commands, but only the changed
+// blocks are diffed. Indices refer to the flattened command streams.
+function diffLocalized (baselineData, actualData, changes) {
+  const baselineLists = commandLists(baselineData)
+  const actualLists = commandLists(actualData)
+  const diff = { added: [], removed: [], modified: [], unchanged: 0, exact: true, regions: [] }
+
+  for (const change of changes) {
+    if (change.properties) continue
+
+    const baseline = slice(baselineLists, change.list, change.baseline)
+    const actual = slice(actualLists, change.list, change.actual)
+    const local = diffCommands(baseline.commands, actual.commands)
+
+    diff.added.push(...local.added.map(entry => ({ ...entry, index: entry.index + actual.offset })))
+    diff.removed.push(...local.removed.map(entry => ({ ...entry, index: entry.index + baseline.offset })))
+    diff.modified.push(...local.modified.map(entry => {
+      const actualIndex = entry.actualIndex + actual.offset
+      return {
+        ...entry,
+        baselineIndex: entry.baselineIndex + baseline.offset,
+        actualIndex,
+        description: describeModification({ ...entry, actualIndex })
+      }
+    }))
+    diff.exact = diff.exact && local.exact
+    diff.regions.push({ ...change, commands: baseline.commands.length + actual.commands.length })
+  }
+
+  const total = flattenedLength(baselineLists)
+  diff.unchanged = total - diff.removed.length - diff.modified.length
+  return diff
+}
+
+function flattenedLength (lists) {
+  return [...lists.values()].reduce((total, { commands }) => total + commands.length, 0)
+}
+
+export { buildMerkleTree, localizeChanges, diffLocalized }
@@ -0,0 +1,138 @@
+import { ANNOTATION_PROPERTIES } from './layer-tree.js'
+import { offsetCommand, walkCommands, pruneEmptyBlocks } from './geometry.js'
+import { skiaColor } from './text-boxes.js'
+
+// Shape draws that paint nothing with a fully transparent color
+const SHAPE_METHODS = ['drawPaint', 'drawRect', 'drawRRect', 'drawDRRect', 'drawOval', 'drawCircle', 'drawPath', 'drawRegion']
+
+// Every command as { method, params }, plus its annotations
+function canonicalCommand (cmd) {
+  const processed = {
+    method: cmd.method || cmd.cmd || cmd.name || 'unknown',
+    params: {}
+  }
+
+  if (cmd.params) {
+    for (const [key, value] of Object.entries(cmd.params)) {
+      processed.params[key] = value
+    }
+  }
+
+  for (const property of ANNOTATION_PROPERTIES) {
+    if (cmd[property] !== undefined) processed[property] = cmd[property]
+  }
+
+  return processed
+}
+
+// Folds translate commands into the coordinates of the commands they move.
+// Other transforms stay as they are, as in element scoping.
+function absolute (commands) {
+  const resolved = []
+  walkCommands(commands, (cmd, offset) => {
+    if (cmd.method === 'translate') return
+    resolved.push(offset.dx || offset.dy ? offsetCommand(cmd, offset.dx, offset.dy) : cmd)
+  })
+  return resolved
+}
+
+function roundValue (value, factor) {
+  if (typeof value === 'number') return Math.round(value * factor) / factor
+  if (Array.isArray(value)) return value.map(inner => roundValue(inner, factor))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, roundValue(inner, factor)]))
+  }
+  return value
+}
+
+function round (commands, { digits = 2 } = {}) {
+  const factor = 10 ** digits
+  return commands.map(cmd => cmd.params ? { ...cmd, params: roundValue(cmd.params, factor) } : cmd)
+}
+
+// Any CSS or Skia color string as Skia's #AARRGGBB, upper case
+function canonicalColor (color) {
+  if (typeof color !== 'string') return color
+  const hex = /^#([0-9a-f]+)$/i.exec(color.trim())
+  if (!hex) return skiaColor(color.trim().toLowerCase())
+
+  let digits = hex[1].toUpperCase()
+  if (digits.length === 3) digits = digits.split('').map(digit => digit + digit).join('')
+  if (digits.length === 6) digits = `FF${digits}`
+  return `#${digits}`
+}
+
+function canonicalColors (value) {
+  if (Array.isArray(value)) return value.map(canonicalColors)
+  if (!value || typeof value !== 'object') return value
+  return Object.fromEntries(Object.entries(value).map(([key, inner]) =>
+    [key, /color/i.test(key) && typeof inner === 'string' ? canonicalColor(inner) : canonicalColors(inner)]))
+}
+
+function colors (commands) {
+  return commands.map(cmd => cmd.params ? { ...cmd, params: canonicalColors(cmd.params) } : cmd)
+}
+
+function isNoop (cmd) {
+  const params = cmd.params || {}
+  if (cmd.method === 'translate') return !params.dx && !params.dy
+  if (cmd.method === 'scale') return params.sx === 1 && params.sy === 1
+
+  const paint = params.paint
+  if (!SHAPE_METHODS.includes(cmd.method) || !paint) return false
+  const transparent = /^#00/i.test(canonicalColor(paint.color) || '')
+  const plain = !paint.shader && !paint.colorFilter && !paint.imageFilter &&
+    (!paint.blendMode || /srcover/i.test(paint.blendMode))
+  return transparent && plain
+}
+
+// Drops commands without visible effect, and save/restore blocks left empty
+function noops (commands) {
+  const kept = commands.filter(cmd => !isNoop(cmd))
+  return kept.length < commands.length ? pruneEmptyBlocks(kept) : kept
+}
+
+const NORMALIZERS = { absolute, round, colors, noops }
+
+// Normalizers are built-in names, { name, ...options } for built-ins that take
+// options, or custom ones taking a command list and { list } (a layer id, 'text'
+// or 'images') and returning the normalized list: named functions or { name, run }.
+// The name goes into the stored label, so two different custom normalizers can't
+// pass for each other.
+function resolveNormalizer (normalizer) {
+  const custom = typeof normalizer === 'function' ? { name: normalizer.name, run: normalizer } : normalizer
+  if (typeof custom?.run === 'function') {
+    if (!custom.name) {
+      throw new Error('Custom normalizers need a name: pass a named function or { name, run }')
+    }
+    return { label: `custom:${custom.name}`, run: custom.run }
+  }
+
+  const { name, ...options } = typeof normalizer === 'string' ? { name: normalizer } : normalizer
+  if (!NORMALIZERS[name]) {
+    throw new Error(`Unknown normalizer "${name}", expected one of: ${Object.keys(NORMALIZERS).join(', ')}`)
+  }
+  const settings = Object.entries(options).map(([key, value]) => `${key}=${value}`)
+  return {
+    label: settings.length > 0 ? `${name}(${settings.join(', ')})` : name,
+    run: commands => NORMALIZERS[name](commands, options)
+  }
+}
+
+// Runs every command list of a capture through canonicalCommand and then the
+// normalizers in order. applied lists them for the snapshot, so a baseline
+// records how its commands were normalized.
+function normalizeSnapshot ({ layers = [], textCommands = [], imageCommands = [] }, normalizers = []) {
+  const steps = normalizers.map(resolveNormalizer)
+  const normalize = (commands, list) =>
+    steps.reduce((result, step) => step.run(result, { list }), commands.map(canonicalCommand))
+
+  return {
+    layers: layers.map(layer => ({ ...layer, commands: normalize(layer.commands || [], layer.id) })),
+    textCommands: normalize(textCommands, 'text'),
+    imageCommands: normalize(imageCommands, 'images'),
+    applied: ['canonical', ...steps.map(step => step.label)]
+  }
+}
+
+export { canonicalCommand, canonicalColor, normalizeSnapshot }
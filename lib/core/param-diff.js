@@ -0,0 +1,70 @@
+const TRANSFORM_METHODS = ['translate', 'scale', 'rotate', 'skew', 'concat', 'setMatrix', 'concat44']
+const GEOMETRY_KEYS = ['rect', 'rrect', 'oval', 'dst', 'src', 'path', 'points', 'x', 'y', 'left', 'top', 'right', 'bottom', 'radii', 'strokeWidth']
+
+// Walks both values and lists every leaf that differs, with a dotted path
+// like "paint.color" or "rrect.radii[1].x"
+function collectChanges (baseline, actual, path = '', changes = []) {
+  if (baseline === actual) return changes
+
+  const bothObjects = baseline && actual && typeof baseline === 'object' && typeof actual === 'object'
+  if (!bothObjects || Array.isArray(baseline) !== Array.isArray(actual)) {
+    changes.push({ path, baseline, actual })
+    return changes
+  }
+
+  if (Array.isArray(baseline)) {
+    const length = Math.max(baseline.length, actual.length)
+    for (let i = 0; i < length; i++) {
+      collectChanges(baseline[i], actual[i], `${path}[${i}]`, changes)
+    }
+    return changes
+  }
+
+  const keys = new Set([...Object.keys(baseline), ...Object.keys(actual)])
+  for (const key of keys) {
+    collectChanges(baseline[key], actual[key], path ? `${path}.${key}` : key, changes)
+  }
+  return changes
+}
+
+function categorize (method, path) {
+  const keys = path.split(/[.[\]]/).filter(Boolean)
+  const last = keys[keys.length - 1]
+
+  if (path === 'method') return 'method'
+  if (last === 'contentHash') return 'image'
+  if (/color/i.test(last)) return 'color'
+  if (last === 'blendMode') return 'blend mode'
+  if (method.startsWith('clip')) return 'clip'
+  if (TRANSFORM_METHODS.includes(method) || keys.some(key => /matrix|transform/i.test(key))) return 'transform'
+  if (keys.some(key => ['text', 'glyphs', 'font', 'typeface', 'textSize'].includes(key))) return 'text'
+  if (keys.some(key => GEOMETRY_KEYS.includes(key))) return 'geometry'
+  return 'other'
+}
+
+function formatValue (value) {
+  if (value === undefined) return '∅'
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+function explainChanges (baseline, actual) {
+  const method = actual.method || baseline.method || ''
+  const changes = baseline.method !== actual.method
+    ? [{ path: 'method', baseline: baseline.method, actual: actual.method }]
+    : collectChanges(baseline.params || {}, actual.params || {})
+
+  return changes.map(change => ({
+    ...change,
+    category: categorize(method, change.path),
+    summary: `${change.path} ${formatValue(change.baseline)} → ${formatValue(change.actual)}`
+  }))
+}
+
+// One line per modified command, e.g. "nav > a.active: text color changed"
+function describeModification ({ actualIndex, method, node, categories }) {
+  const subject = method === 'drawTextBlob' ? 'text' : method
+  const changed = categories.length > 0 ? `${categories.join(', ')} changed` : 'changed'
+  return `${node || `#${actualIndex}`}: ${subject} ${changed}`
+}
+
+export { explainChanges, describeModification, collectChanges, categorize }
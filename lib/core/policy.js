@@ -0,0 +1,215 @@
+import fs from 'fs'
+import { nodeMatches } from './dom-nodes.js'
+import { explainChanges, describeModification } from './param-diff.js'
+
+// From most to least severe
+const SEVERITIES = ['fail', 'warn', 'ignore']
+
+// Modified commands are classified like their parameter changes, see categorize()
+const CHANGE_CATEGORIES = [
+  'text',
+  'color',
+  'geometry',
+  'transform',
+  'clip',
+  'image',
+  'blend mode',
+  'method',
+  'other',
+  'element-added',
+  'element-removed',
+  'layer-added',
+  'layer-removed',
+  'layer',
+  'shift'
+]
+
+// The shifts option, as the severity of the 'shift' category
+const SHIFT_SEVERITY = { fail: 'fail', warn: 'warn', pass: 'ignore' }
+
+function checkSeverity (severity, where) {
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Unknown severity "${severity}" in ${where}, expected one of: ${SEVERITIES.join(', ')}`)
+  }
+}
+
+function checkCategories (categories, where) {
+  ;[categories].flat().forEach(category => {
+    if (!CHANGE_CATEGORIES.includes(category)) {
+      throw new Error(`Unknown change category "${category}" in ${where}, expected one of: ${CHANGE_CATEGORIES.join(', ')}`)
+    }
+  })
+}
+
+// Accepts { default, categories, rules } or the path of a JSON file with it.
+// Rules are { category, scenario, selector, text, severity }, every field but
+// severity optional; a change takes the severity of the last rule it matches,
+// else the one of its category, else the default.
+function normalizePolicy (policy = null, { shifts = 'fail' } = {}) {
+  const settings = typeof policy === 'string' ? JSON.parse(fs.readFileSync(policy, 'utf8')) : policy || {}
+
+  const normalized = {
+    default: settings.default || 'fail',
+    categories: { shift: SHIFT_SEVERITY[shifts], ...settings.categories },
+    rules: settings.rules || []
+  }
+
+  checkSeverity(normalized.default, 'policy default')
+  Object.entries(normalized.categories).forEach(([category, severity]) => {
+    checkCategories(category, 'policy categories')
+    checkSeverity(severity, `policy category ${category}`)
+  })
+  normalized.rules.forEach((rule, i) => {
+    if (rule.category) checkCategories(rule.category, `policy rule ${i}`)
+    checkSeverity(rule.severity, `policy rule ${i}`)
+  })
+
+  return normalized
+}
+
+// Text content changes of a modified drawTextBlob, which the text runs report instead
+function contentOnly (entry, category) {
+  return category === 'text' && entry.method === 'drawTextBlob' &&
+    entry.changes.filter(change => change.category === 'text').every(change => change.path === 'text')
+}
+
+function isTextCommand (entry) {
+  return entry.command.method === 'drawTextBlob' && typeof entry.command.params?.text === 'string'
+}
+
+// Added and removed drawTextBlob commands, once the text runs report words. Those
+// of the same element are paired in order, and what changed besides the text and
+// the line box that follows it, like the color or font of a re-wrapped line, stays
+// a modification. Unpaired ones are dropped when a changed run on their side holds
+// their text, else stay as they are.
+function pairTextCommands (added, removed, textDiff) {
+  const nodeOf = entry => entry.command.node || null
+  const textOf = entry => entry.command.params.text.replace(/\s+/g, ' ').trim()
+  const accounted = (entry, side) => textDiff.some(change =>
+    change.node === nodeOf(entry) && change[side] !== null && change[side].includes(textOf(entry)))
+
+  const pending = new Map()
+  for (const entry of removed.filter(isTextCommand)) {
+    if (!pending.has(nodeOf(entry))) pending.set(nodeOf(entry), [])
+    pending.get(nodeOf(entry)).push(entry)
+  }
+
+  const modified = []
+  const unpaired = []
+  for (const entry of added.filter(isTextCommand)) {
+    const partner = pending.get(nodeOf(entry))?.shift()
+    if (!partner) {
+      if (!accounted(entry, 'actual')) unpaired.push(entry)
+      continue
+    }
+    const changes = explainChanges(partner.command, entry.command)
+      .filter(change => change.path !== 'text' && !change.path.startsWith('rect.'))
+    if (changes.length > 0) {
+      modified.push({
+        actualIndex: entry.index,
+        method: entry.command.method,
+        node: nodeOf(entry),
+        categories: [...new Set(changes.map(change => change.category))],
+        changes
+      })
+    }
+  }
+
+  return {
+    added: [...added.filter(entry => !isTextCommand(entry)), ...unpaired],
+    removed: [
+      ...removed.filter(entry => !isTextCommand(entry)),
+      ...[...pending.values()].flat().filter(entry => !accounted(entry, 'baseline'))
+    ],
+    modified
+  }
+}
+
+function commandChange (entry, kind) {
+  const { command } = entry
+  const node = command.node || null
+  return {
+    category: command.method?.startsWith('clip') ? 'clip' : `element-${kind}`,
+    node,
+    description: `${node || `#${entry.index}`}: ${command.method} ${kind}`
+  }
+}
+
+// Everything a comparison found, as { category, node, description }: layer changes,
+// shifts, and the commands the shifts don't explain. A modified command counts
+// once per category of change. With a textDiff, changed words are reported per
+// text run, with its { baseline, actual } text, instead of per drawTextBlob.
+function classifyChanges ({ shift, layerDiff, textDiff = null }) {
+  const { layers } = shift.remaining
+  let { added, removed, modified } = shift.remaining
+  if (textDiff) {
+    const paired = pairTextCommands(added, removed, textDiff)
+    added = paired.added
+    removed = paired.removed
+    modified = [...modified, ...paired.modified]
+  }
+
+  return [
+    ...layerDiff.added.map(change => ({ category: 'layer-added', node: null, description: change.description })),
+    ...layerDiff.removed.map(change => ({ category: 'layer-removed', node: null, description: change.description })),
+    // Changed command lists are covered command by command below
+    ...layers
+      .filter(change => change.property && change.property !== 'commands')
+      .map(change => ({ category: 'layer', node: null, description: change.description })),
+    ...shift.shifts.map(({ node, description }) => ({ category: 'shift', node: node || null, description })),
+    ...added.map(entry => commandChange(entry, 'added')),
+    ...removed.map(entry => commandChange(entry, 'removed')),
+    ...modified.flatMap(entry => entry.categories
+      .filter(category => !textDiff || !contentOnly(entry, category))
+      .map(category => ({
+        category,
+        node: entry.node,
+        description: describeModification({ ...entry, categories: [category] })
+      }))),
+    ...(textDiff || []).map(change => ({
+      category: 'text',
+      node: change.node,
+      description: change.description,
+      text: { baseline: change.baseline, actual: change.actual }
+    }))
+  ]
+}
+
+// A text pattern has to match the text on both sides, so "Updated 5 minutes ago"
+// turning into "Updated 7 minutes ago" can be allowed without allowing any copy change
+function textMatches (pattern, change) {
+  if (!change.text) return false
+  const regexp = new RegExp(pattern)
+  return [change.text.baseline, change.text.actual]
+    .filter(text => text !== null)
+    .every(text => regexp.test(text))
+}
+
+function ruleMatches (rule, change, scenarios) {
+  return (!rule.category || [rule.category].flat().includes(change.category)) &&
+    (!rule.scenario || [rule.scenario].flat().some(name => scenarios.includes(name))) &&
+    (!rule.selector || nodeMatches(change.node, rule.selector)) &&
+    (!rule.text || textMatches(rule.text, change))
+}
+
+function severityOf (policy, change, scenarios) {
+  const rule = policy.rules.findLast(rule => ruleMatches(rule, change, scenarios))
+  return rule ? rule.severity : policy.categories[change.category] ?? policy.default
+}
+
+// Classifies the differences, gives each a severity for the scenario (any of
+// its names) and returns the worst as verdict: 'fail', 'warn', or 'pass'
+// when nothing is left but ignored changes
+function evaluatePolicy (diffs, policy, scenarios = []) {
+  const changes = classifyChanges(diffs).map(change => ({ ...change, severity: severityOf(policy, change, scenarios) }))
+  const counts = Object.fromEntries(SEVERITIES.map(severity =>
+    [severity, changes.filter(change => change.severity === severity).length]))
+
+  let verdict = 'pass'
+  if (counts.fail > 0) verdict = 'fail'
+  else if (counts.warn > 0) verdict = 'warn'
+
+  return { verdict, changes, counts }
+}
+
+export { SEVERITIES, CHANGE_CATEGORIES, normalizePolicy, classifyChanges, evaluatePolicy }
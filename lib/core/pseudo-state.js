@@ -0,0 +1,55 @@
+const PSEUDO_STATES = ['active', 'focus', 'focus-within', 'focus-visible', 'hover', 'target', 'visited']
+
+// Expands { selector, states, name? } entries into one variant per state:
+// [{ suffix: 'hover', selector: 'a.nav', state: 'hover' }, ...]
+function pseudoStateVariants (pseudoStates) {
+  const entries = Array.isArray(pseudoStates) ? pseudoStates : [pseudoStates]
+
+  return entries.flatMap(entry => {
+    if (!entry.selector) {
+      throw new Error('Pseudo-state entry is missing a "selector"')
+    }
+
+    return entry.states.map(state => {
+      if (!PSEUDO_STATES.includes(state)) {
+        throw new Error(`Unknown pseudo-state "${state}", expected one of: ${PSEUDO_STATES.join(', ')}`)
+      }
+      return {
+        suffix: entry.name ? `${entry.name}-${state}` : state,
+        selector: entry.selector,
+        state
+      }
+    })
+  })
+}
+
+function variantName (name, variant) {
+  return `${name}--${variant.suffix}`
+}
+
+// Forces the state on every element matching selector. The CSS domain of this
+// client has to stay enabled for as long as the state should hold.
+async function forcePseudoState (client, selector, state) {
+  await client.send('DOM.enable')
+  await client.send('CSS.enable')
+
+  const { root } = await client.send('DOM.getDocument')
+  const { nodeIds } = await client.send('DOM.querySelectorAll', { nodeId: root.nodeId, selector })
+  if (nodeIds.length === 0) {
+    throw new Error(`No element matches selector "${selector}"`)
+  }
+
+  for (const nodeId of nodeIds) {
+    await client.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [state] })
+  }
+
+  return nodeIds
+}
+
+async function clearPseudoState (client, nodeIds) {
+  for (const nodeId of nodeIds) {
+    await client.send('CSS.forcePseudoState', { nodeId, forcedPseudoClasses: [] })
+  }
+}
+
+export { PSEUDO_STATES, pseudoStateVariants, variantName, forcePseudoState, clearPseudoState }
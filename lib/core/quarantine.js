@@ -0,0 +1,179 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import { commandKey, paintContent, hashLayers } from './layer-tree.js'
+import { diffCommands } from './command-diff.js'
+import { buildMerkleTree } from './merkle.js'
+import { SAVE_METHODS, RESTORE_METHODS, pruneEmptyBlocks } from './geometry.js'
+
+// Pseudo layer ids for the text commands and for image commands that have no draw of their own
+const TEXT_LAYER = 'text'
+const IMAGE_LAYER = 'images'
+
+// Stands in for quarantined param values, so the command keeps its place
+const MASK = '<flaky>'
+
+function hashKey (cmd) {
+  return crypto.createHash('sha256').update(commandKey(cmd)).digest('hex').substring(0, 16)
+}
+
+function pathKeys (path) {
+  return path.split(/[.[\]]/).filter(Boolean)
+}
+
+// The command with every param at paths replaced by MASK
+function maskParams (cmd, paths) {
+  const masked = { ...paintContent(cmd), params: structuredClone(cmd.params || {}) }
+  for (const path of paths) {
+    const keys = pathKeys(path)
+    let target = masked.params
+    for (const key of keys.slice(0, -1)) {
+      if (!target || typeof target !== 'object') break
+      target = target[key]
+    }
+    if (target && typeof target === 'object') target[keys[keys.length - 1]] = MASK
+  }
+  return masked
+}
+
+function isStructural (cmd) {
+  return SAVE_METHODS.includes(cmd.method) || RESTORE_METHODS.includes(cmd.method) || cmd.method === 'translate'
+}
+
+function commandSets ({ layers = [], textCommands = [], imageCommands = [] }) {
+  const sets = new Map(layers.map(layer => [layer.id, layer.commands || []]))
+  sets.set(TEXT_LAYER, textCommands)
+  sets.set(IMAGE_LAYER, imageCommands)
+  return sets
+}
+
+// Compares every capture with the first one and returns a rule for every command
+// that differed between them: { layer, method, node, paths, key, runs }. paths
+// lists the params that varied; without paths the command itself came and went.
+// key identifies the command with those params masked.
+function findFlakyCommands (captures) {
+  const [first, ...others] = captures.map(commandSets)
+  const params = new Map()
+  const presence = new Map()
+
+  for (const sets of others) {
+    const layerIds = new Set([...first.keys(), ...sets.keys()])
+
+    for (const layer of layerIds) {
+      const diff = diffCommands(first.get(layer) || [], sets.get(layer) || [])
+
+      for (const { baselineIndex, baseline, changes } of diff.modified) {
+        const id = `${layer}#${baselineIndex}`
+        const entry = params.get(id) || { layer, command: baseline, paths: new Set(), runs: 0 }
+        changes.forEach(change => entry.paths.add(change.path))
+        entry.runs++
+        params.set(id, entry)
+      }
+
+      for (const { command } of [...diff.added, ...diff.removed]) {
+        // Blocks left empty by dropped draws are pruned, the block itself needs no rule
+        if (isStructural(command)) continue
+
+        const id = `${layer}:${hashKey(command)}`
+        const entry = presence.get(id) || { layer, command, runs: 0 }
+        entry.runs++
+        presence.set(id, entry)
+      }
+    }
+  }
+
+  const rules = [
+    ...[...params.values()].map(({ layer, command, paths, runs }) => {
+      const sorted = [...paths].sort()
+      return {
+        layer,
+        method: command.method,
+        node: command.node || null,
+        paths: sorted,
+        key: hashKey(maskParams(command, sorted)),
+        runs
+      }
+    }),
+    ...[...presence.values()].map(({ layer, command, runs }) => ({
+      layer,
+      method: command.method,
+      node: command.node || null,
+      paths: null,
+      key: hashKey(command),
+      runs
+    }))
+  ]
+
+  // Commands that varied the same way at several places need one rule
+  const unique = new Map(rules.map(rule => [`${rule.layer}:${rule.key}:${rule.paths}`, rule]))
+  return [...unique.values()]
+}
+
+function describeQuarantineRule (rule) {
+  const subject = `${rule.node || `layer ${rule.layer}`}: ${rule.method}`
+  return rule.paths
+    ? `${subject} ${rule.paths.join(', ')} varied`
+    : `${subject} came and went`
+}
+
+function quarantineCommands (commands, rules, suppressed) {
+  if (rules.length === 0) return commands
+
+  const kept = []
+  let dropped = false
+  for (const cmd of commands) {
+    const rule = rules.find(rule => rule.method === cmd.method &&
+      hashKey(rule.paths ? maskParams(cmd, rule.paths) : cmd) === rule.key)
+
+    if (!rule) {
+      kept.push(cmd)
+    } else if (rule.paths) {
+      kept.push({ ...maskParams(cmd, rule.paths), ...(cmd.node && { node: cmd.node }) })
+      suppressed.push({ rule, action: 'masked' })
+    } else {
+      dropped = true
+      suppressed.push({ rule, action: 'dropped' })
+    }
+  }
+  return dropped ? pruneEmptyBlocks(kept) : kept
+}
+
+// Masks the varying params of quarantined commands and drops the ones that come
+// and go, in layers, text and image commands. Returns the snapshot and what was suppressed.
+function applyQuarantine (snapshot, rules = []) {
+  const suppressed = []
+  const rulesFor = layer => rules.filter(rule => rule.layer === layer)
+
+  const layers = (snapshot.layers || []).map(layer => ({
+    ...layer,
+    commands: quarantineCommands(layer.commands || [], rulesFor(layer.id), suppressed)
+  }))
+  const textCommands = quarantineCommands(snapshot.textCommands || [], rulesFor(TEXT_LAYER), suppressed)
+  const imageCommands = quarantineCommands(snapshot.imageCommands || [], rulesFor(IMAGE_LAYER), suppressed)
+
+  return { snapshot: { ...snapshot, layers, textCommands, imageCommands }, suppressed }
+}
+
+// applyQuarantine, with the snapshot's hash and Merkle tree redone
+function quarantineSnapshot (snapshot, rules = []) {
+  const { snapshot: result, suppressed } = applyQuarantine(snapshot, rules)
+  const { layers, textCommands, imageCommands } = result
+  return {
+    snapshot: {
+      ...result,
+      hash: hashLayers(layers, [...textCommands, ...imageCommands]),
+      merkle: buildMerkleTree({ layers, textCommands, imageCommands })
+    },
+    suppressed
+  }
+}
+
+// The quarantine file --detect-flaky wrote for a snapshot, or null
+function loadQuarantine (filename) {
+  try {
+    return JSON.parse(fs.readFileSync(filename, 'utf8'))
+  } catch (e) {
+    return null
+  }
+}
+
+export { findFlakyCommands, applyQuarantine, quarantineSnapshot, loadQuarantine, describeQuarantineRule }
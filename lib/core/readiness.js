@@ -0,0 +1,103 @@
+// Per condition, unless the condition or the wait settings give their own
+const DEFAULT_TIMEOUT = 10000
+
+// Images decoded, document loaded and web fonts in, which is what the service always waited for
+const DEFAULT_CONDITIONS = [{ images: true }, { readyState: 'complete' }, { fonts: true }]
+
+const CONDITION_TYPES = ['selector', 'absent', 'predicate', 'networkIdle', 'fonts', 'images', 'readyState', 'idle', 'delay']
+
+function conditionType (condition) {
+  const type = CONDITION_TYPES.find(type => condition[type] !== undefined && condition[type] !== false)
+  if (!type) {
+    throw new Error(`Unknown readiness condition ${JSON.stringify(condition)}, expected one of: ${CONDITION_TYPES.join(', ')}`)
+  }
+  return type
+}
+
+// Accepts a list of conditions or { until, selector, delay, conditions, timeout },
+// where selector and delay are shorthands for the conditions of the same name.
+// until is the page.goto() wait condition and only applies where the page is opened.
+function normalizeReadiness (wait, defaults = {}) {
+  const settings = Array.isArray(wait) ? { conditions: wait } : { ...defaults, ...wait }
+  const conditions = [
+    ...(settings.selector ? [{ selector: settings.selector }] : []),
+    ...(settings.conditions || []),
+    ...(settings.delay ? [{ delay: settings.delay }] : [])
+  ]
+  conditions.forEach(conditionType)
+
+  return {
+    until: settings.until || defaults.until || 'load',
+    timeout: settings.timeout || DEFAULT_TIMEOUT,
+    conditions
+  }
+}
+
+function describeCondition (condition) {
+  const type = conditionType(condition)
+  const value = condition[type]
+  if (type === 'predicate') return typeof value === 'function' ? `predicate ${value.name || 'function'}` : `predicate "${value}"`
+  if (value === true) return type
+  return `${type} ${JSON.stringify(value)}`
+}
+
+function withTimeout (promise, timeout) {
+  let timer
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error('timeout'), { name: 'TimeoutError' })), timeout)
+    })
+  ]).finally(() => clearTimeout(timer))
+}
+
+function waitFor (page, condition, timeout) {
+  const type = conditionType(condition)
+  const value = condition[type]
+
+  switch (type) {
+    case 'selector':
+      return page.waitForSelector(value, { timeout })
+    case 'absent':
+      return page.waitForFunction(selector => !document.querySelector(selector), { timeout }, value)
+    case 'predicate':
+      return page.waitForFunction(value, { timeout })
+    case 'networkIdle':
+      return page.waitForNetworkIdle({ idleTime: value === true ? 500 : value, timeout })
+    case 'fonts':
+      return page.waitForFunction(() => document.fonts.status === 'loaded', { timeout })
+    case 'images':
+      return page.waitForFunction(() => Array.prototype.every.call(document.images, image => image.complete), { timeout })
+    case 'readyState':
+      return page.waitForFunction(state => document.readyState === state, { timeout }, value === true ? 'complete' : value)
+    case 'idle':
+      return withTimeout(page.evaluate(() => new Promise(resolve => requestIdleCallback(() => resolve()))), timeout)
+    case 'delay':
+      return new Promise(resolve => setTimeout(resolve, value))
+  }
+}
+
+// Waits for every condition in order. A condition that times out throws an error
+// naming it, so the capture fails instead of snapshotting a page that isn't ready.
+// Returns how long each condition took.
+async function waitUntilReady (page, readiness) {
+  const report = []
+
+  for (const condition of readiness.conditions) {
+    const timeout = condition.timeout || readiness.timeout
+    const started = Date.now()
+    try {
+      await waitFor(page, condition, timeout)
+    } catch (error) {
+      if (error.name !== 'TimeoutError') throw error
+      const notReady = new Error(`Page not ready: ${describeCondition(condition)} not met within ${timeout} ms`)
+      notReady.readiness = { condition: describeCondition(condition), timeout, completed: report }
+      throw notReady
+    }
+    report.push({ condition: describeCondition(condition), elapsed: Date.now() - started })
+  }
+
+  return report
+}
+
+export { DEFAULT_CONDITIONS, normalizeReadiness, describeCondition, waitUntilReady }
@@ -0,0 +1,134 @@
+import fs from 'fs'
+import path from 'path'
+import { PNG } from 'pngjs'
+import { myers } from './command-diff.js'
+import { stepHashes } from './layer-tree.js'
+import { commandBounds, offsetBounds, walkCommands } from './geometry.js'
+
+// Outline drawn around the commands that differ from the baseline
+const HIGHLIGHT_COLOR = [255, 0, 0, 255]
+const HIGHLIGHT_WIDTH = 2
+
+// Renders steps [fromStep, toStep) of a live layer snapshot, as PNG data
+async function replaySnapshot (client, snapshotId, { fromStep, toStep, scale = 1 } = {}) {
+  const { dataURL } = await client.send('LayerTree.replaySnapshot', { snapshotId, fromStep, toStep, scale })
+  return Buffer.from(dataURL.slice(dataURL.indexOf(',') + 1), 'base64')
+}
+
+// Above this many step edits a layer is outlined from its first to its last step
+const MAX_STEP_EDITS = 1000
+
+// Actual steps added or changed against the baseline's, compared by their hashes
+// (see stepHashes), with the first and last. Null when only steps were removed,
+// or none changed.
+function changedSteps (baselineSteps, actualSteps) {
+  const script = myers(baselineSteps, actualSteps, MAX_STEP_EDITS)
+  const indices = script
+    ? script.filter(([op]) => op === 'insert').map(([, , y]) => y)
+    : actualSteps.map((step, i) => i)
+
+  if (indices.length === 0) return null
+  return { from: indices[0], to: indices[indices.length - 1], indices }
+}
+
+// Layer-coordinate bounds of the commands at the given indices
+function stepRegions (commands, indices) {
+  const wanted = new Set(indices)
+  const regions = []
+
+  walkCommands(commands, (cmd, offset, index) => {
+    const bounds = wanted.has(index) && commandBounds(cmd)
+    if (bounds) regions.push(offsetBounds(bounds, offset.dx, offset.dy))
+  })
+
+  return regions
+}
+
+// Draws the outline of each region onto PNG data (pngjs layout)
+function outlineRegions (png, regions, { scale = 1 } = {}) {
+  const paint = (x, y) => {
+    if (x < 0 || y < 0 || x >= png.width || y >= png.height) return
+    const index = (y * png.width + x) * 4
+    HIGHLIGHT_COLOR.forEach((value, channel) => {
+      png.data[index + channel] = value
+    })
+  }
+
+  for (const region of regions) {
+    // Text only logs its origin, so grow empty boxes enough to be seen
+    const left = Math.floor(region.left * scale) - HIGHLIGHT_WIDTH
+    const top = Math.floor(region.top * scale) - HIGHLIGHT_WIDTH
+    const right = Math.ceil(region.right * scale) + HIGHLIGHT_WIDTH
+    const bottom = Math.ceil(region.bottom * scale) + HIGHLIGHT_WIDTH
+
+    for (let w = 0; w < HIGHLIGHT_WIDTH; w++) {
+      for (let x = left; x <= right; x++) {
+        paint(x, top + w)
+        paint(x, bottom - w)
+      }
+      for (let y = top; y <= bottom; y++) {
+        paint(left + w, y)
+        paint(right - w, y)
+      }
+    }
+  }
+
+  return png
+}
+
+// "main > div.card@2" becomes "main_div.card@2"
+function layerFileName (layer) {
+  return layer.id.replace(/[^\w.#@-]+/g, '_')
+}
+
+// Returns an onSnapshot hook for captureLayerTree that writes replays to outputDir.
+// Without baseline layers every layer with commands is rendered. With them only
+// layers whose steps differ are, plus a render up to the last differing step with
+// the differing commands outlined. Baseline layers stored without steps are
+// always rendered.
+function createReplayRecorder (client, { outputDir, baselineLayers = null, scale = 1, log = () => {} }) {
+  const baselineById = baselineLayers && new Map(baselineLayers.map(layer => [layer.id, layer]))
+  const files = []
+
+  fs.mkdirSync(outputDir, { recursive: true })
+
+  const write = (fileName, data) => {
+    const file = path.join(outputDir, fileName)
+    fs.writeFileSync(file, data)
+    return file
+  }
+
+  async function onSnapshot (layer, snapshotId, commands) {
+    if (commands.length === 0) return
+
+    try {
+      if (!baselineById) {
+        files.push({ layer: layer.id, path: write(`${layerFileName(layer)}.png`, await replaySnapshot(client, snapshotId, { scale })) })
+        return
+      }
+
+      const baselineSteps = baselineById.get(layer.id)?.steps || []
+      const actualSteps = stepHashes(commands)
+      if (String(baselineSteps) === String(actualSteps)) return
+
+      const full = write(`${layerFileName(layer)}.png`, await replaySnapshot(client, snapshotId, { scale }))
+      const steps = changedSteps(baselineSteps, actualSteps)
+      if (!steps) {
+        files.push({ layer: layer.id, path: full })
+        return
+      }
+
+      const png = PNG.sync.read(await replaySnapshot(client, snapshotId, { toStep: steps.to + 1, scale }))
+      outlineRegions(png, stepRegions(commands, steps.indices), { scale })
+      const highlighted = write(`${layerFileName(layer)}-steps-${steps.from}-${steps.to}.png`, PNG.sync.write(png))
+
+      files.push({ layer: layer.id, path: full, highlighted, from: steps.from, to: steps.to })
+    } catch (error) {
+      log(`Replay failed for layer ${layer.id}: ${error.message}`)
+    }
+  }
+
+  return { onSnapshot, files }
+}
+
+export { replaySnapshot, changedSteps, stepRegions, outlineRegions, createReplayRecorder }
@@ -0,0 +1,174 @@
+import { commandBounds, offsetCommand } from './geometry.js'
+import { commandKey } from './layer-tree.js'
+
+// What a run of shifted commands means for the comparison
+const SHIFT_POLICIES = ['fail', 'warn', 'pass']
+
+// Float noise from the layout shouldn't break a shift apart
+const PRECISION = 1e-3
+
+// Partners looked at per command, which bounds the work on repetitive pages
+const MAX_CANDIDATES = 50
+
+function same (a, b) {
+  return Math.abs(a - b) < PRECISION
+}
+
+function roundedKey (cmd) {
+  return JSON.stringify(JSON.parse(commandKey(cmd)), (key, value) =>
+    typeof value === 'number' ? Math.round(value / PRECISION) * PRECISION : value)
+}
+
+// What a command draws regardless of where: its key with the geometry moved to
+// the origin, and where that origin was. translate keeps its offsets out of the key.
+function placement (cmd) {
+  if (cmd.method === 'translate') {
+    const { dx = 0, dy = 0, ...rest } = cmd.params || {}
+    return { key: roundedKey({ method: cmd.method, params: rest }), x: dx, y: dy }
+  }
+
+  const bounds = commandBounds(cmd)
+  if (!bounds) return null
+  return { key: roundedKey(offsetCommand(cmd, -bounds.left, -bounds.top)), x: bounds.left, y: bounds.top }
+}
+
+function deltaKey (dx, dy) {
+  return `${Math.round(dx / PRECISION)},${Math.round(dy / PRECISION)}`
+}
+
+// Pairs baseline and actual commands that are the same drawing at another place.
+// Every possible pairing votes for its (dx, dy), and each baseline command then
+// takes the partner whose offset most commands agree on, so the commands of an
+// inserted banner don't get paired with the content it pushed down.
+function pairShifted (baselineEntries, actualEntries) {
+  const byKey = new Map()
+  for (const entry of actualEntries) {
+    const place = placement(entry.command)
+    if (!place) continue
+    if (!byKey.has(place.key)) byKey.set(place.key, [])
+    byKey.get(place.key).push({ ...entry, place })
+  }
+
+  const candidates = baselineEntries.map(entry => {
+    const place = placement(entry.command)
+    const partners = place ? (byKey.get(place.key) || []).slice(0, MAX_CANDIDATES) : []
+    return partners.map(partner => ({
+      baseline: entry,
+      actual: partner,
+      dx: partner.place.x - place.x,
+      dy: partner.place.y - place.y
+    }))
+  })
+
+  const votes = new Map()
+  candidates.flat().forEach(({ dx, dy }) => {
+    const key = deltaKey(dx, dy)
+    votes.set(key, (votes.get(key) || 0) + 1)
+  })
+
+  const used = new Set()
+  const pairs = []
+  for (const options of candidates) {
+    const support = option => votes.get(deltaKey(option.dx, option.dy))
+    const best = options
+      .filter(option => !used.has(option.actual.index))
+      .sort((a, b) => support(b) - support(a) || a.actual.index - b.actual.index)[0]
+    if (!best) continue
+    used.add(best.actual.index)
+    pairs.push(best)
+  }
+  return pairs
+}
+
+function round (value) {
+  return Math.round(value * 100) / 100
+}
+
+function describeShift (shift) {
+  const where = shift.layer !== undefined
+    ? `layer ${shift.layer}`
+    : `${shift.count} commands ${shift.node ? `from ${shift.node} ` : ''}(#${shift.from}-#${shift.to})`
+  return `${where} shifted by (${round(shift.dx)}, ${round(shift.dy)})`
+}
+
+// Finds the commands of a command diff that are the same drawing moved by the
+// same (dx, dy), and groups them into shifts, consecutive in the actual stream.
+// Layers that only moved count as shifts too. What is not explained by a shift
+// stays in remaining; pure is true when shifts are all that changed.
+function detectShifts (commandDiff, layerDiff = null) {
+  const baselineEntries = [
+    ...commandDiff.removed,
+    ...commandDiff.modified.map(entry => ({ index: entry.baselineIndex, command: entry.baseline }))
+  ]
+  const actualEntries = [
+    ...commandDiff.added,
+    ...commandDiff.modified.map(entry => ({ index: entry.actualIndex, command: entry.actual, node: entry.node }))
+  ]
+
+  const pairs = pairShifted(baselineEntries, actualEntries)
+    .filter(pair => pair.dx !== 0 || pair.dy !== 0)
+    .sort((a, b) => a.actual.index - b.actual.index)
+  const shiftedBaseline = new Set(pairs.map(pair => pair.baseline.index))
+  const shiftedActual = new Set(pairs.map(pair => pair.actual.index))
+
+  const shifts = []
+  let current = null
+  for (const pair of pairs) {
+    if (current && same(current.dx, pair.dx) && same(current.dy, pair.dy)) {
+      current.to = pair.actual.index
+      current.count++
+    } else {
+      const node = pair.actual.command.node || pair.actual.node || null
+      current = { dx: pair.dx, dy: pair.dy, from: pair.actual.index, to: pair.actual.index, count: 1, node }
+      shifts.push(current)
+    }
+  }
+
+  // Modifications lose the side a shift explained; the other side is added or removed
+  const modified = []
+  const added = commandDiff.added.filter(entry => !shiftedActual.has(entry.index))
+  const removed = commandDiff.removed.filter(entry => !shiftedBaseline.has(entry.index))
+  for (const entry of commandDiff.modified) {
+    const baselineShifted = shiftedBaseline.has(entry.baselineIndex)
+    const actualShifted = shiftedActual.has(entry.actualIndex)
+    if (!baselineShifted && !actualShifted) modified.push(entry)
+    else if (!baselineShifted) removed.push({ index: entry.baselineIndex, command: entry.baseline })
+    else if (!actualShifted) added.push({ index: entry.actualIndex, command: entry.actual })
+  }
+
+  const layers = []
+  for (const change of layerDiff?.changed || []) {
+    const { baseline, actual } = change
+    const moved = change.property === 'bounds' && baseline && actual &&
+      same(baseline.width, actual.width) && same(baseline.height, actual.height)
+    if (moved) {
+      shifts.push({ layer: change.id, dx: actual.x - baseline.x, dy: actual.y - baseline.y, count: 1 })
+    } else {
+      layers.push(change)
+    }
+  }
+
+  // Changed layer commands are covered by the command shifts, unless something else changed
+  const commandsExplained = modified.length === 0 && added.length === 0 && removed.length === 0
+  const remainingLayers = layers.filter(change => change.property !== 'commands' || !commandsExplained)
+
+  shifts.forEach(shift => {
+    shift.description = describeShift(shift)
+  })
+
+  const remaining = {
+    added,
+    removed,
+    modified,
+    layers: [...(layerDiff?.added || []), ...(layerDiff?.removed || []), ...remainingLayers]
+  }
+
+  return {
+    shifts,
+    shifted: shifts.reduce((total, shift) => total + shift.count, 0),
+    remaining,
+    pure: shifts.length > 0 && Object.values(remaining).every(list => list.length === 0)
+  }
+}
+
+export { SHIFT_POLICIES, detectShifts, describeShift }
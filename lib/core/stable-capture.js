@@ -0,0 +1,54 @@
+// A capture counts as stable once this many samples in a row hash the same
+const DEFAULT_STABILITY = {
+  samples: 2,
+  maxAttempts: 10,
+  timeout: 10000, // ms for all attempts together
+  interval: 100 // ms between attempts
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Calls sample(attempt) until options.samples consecutive results have the same
+// hash, and returns the last of them with how it got there. sample resolves to
+// { hash, empty, ... }; empty samples (no layer tree, no commands) never count
+// as stable. Throws when the budget runs out, with the sampled hashes attached
+// as error.stability.
+async function captureStable (sample, options = {}) {
+  const { samples, maxAttempts, timeout, interval } = { ...DEFAULT_STABILITY, ...options }
+  const started = Date.now()
+  const hashes = []
+  let streak = 0
+  let last = null
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const result = await sample(attempt)
+    hashes.push(result.empty ? null : result.hash)
+
+    if (result.empty) {
+      streak = 0
+    } else if (last && !last.empty && last.hash === result.hash) {
+      streak++
+    } else {
+      streak = 1
+    }
+    last = result
+
+    const stability = { attempts: attempt, required: samples, hashes, elapsed: Date.now() - started }
+    if (streak >= samples) {
+      return { result, stability: { ...stability, stable: true } }
+    }
+
+    if (Date.now() - started >= timeout) break
+    await sleep(interval)
+  }
+
+  const elapsed = Date.now() - started
+  const reason = hashes.every(hash => hash === null)
+    ? 'every sample was empty (no layer tree or no paint commands)'
+    : `hashes kept changing: ${hashes.map(hash => hash || 'empty').join(', ')}`
+  const error = new Error(`Capture did not stabilize after ${hashes.length} samples in ${elapsed} ms, ${reason}`)
+  error.stability = { attempts: hashes.length, required: samples, hashes, elapsed, stable: false }
+  throw error
+}
+
+export { DEFAULT_STABILITY, captureStable }
@@ -0,0 +1,297 @@
+import { SAVE_METHODS, RESTORE_METHODS, commandBounds, walkCommands } from './geometry.js'
+
+// drawPaint fills the whole canvas, which ends at the clip of its layer
+const HUGE = 1e6
+const DEFAULT_SIZE = { width: 800, height: 600 }
+
+function escapeXml (value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function num (value) {
+  return Number.isFinite(value) ? Math.round(value * 1000) / 1000 : 0
+}
+
+// Skia logs colors as #AARRGGBB
+function parseColor (color) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{6})$/i.exec(color || '')
+  if (!match) return { rgb: '#000000', alpha: 1 }
+  return { rgb: `#${match[2]}`, alpha: num(parseInt(match[1], 16) / 255) }
+}
+
+function paintAttributes (paint = {}) {
+  const { rgb, alpha } = parseColor(paint.color)
+  const style = paint.styleName || 'Fill'
+  const attributes = []
+
+  if (style === 'Stroke') {
+    attributes.push('fill="none"')
+  } else {
+    attributes.push(`fill="${rgb}"`)
+    if (alpha < 1) attributes.push(`fill-opacity="${alpha}"`)
+  }
+  if (style === 'Stroke' || style === 'StrokeAndFill') {
+    attributes.push(`stroke="${rgb}"`, `stroke-width="${num(paint.strokeWidth) || 1}"`)
+    if (alpha < 1) attributes.push(`stroke-opacity="${alpha}"`)
+  }
+
+  return attributes.join(' ')
+}
+
+function isTransparent (paint) {
+  return !!paint && parseColor(paint.color).alpha === 0
+}
+
+function rectShape ({ left, top, right, bottom }) {
+  return `<rect x="${num(left)}" y="${num(top)}" width="${num(right - left)}" height="${num(bottom - top)}"`
+}
+
+// Rounded rects with four possibly different elliptical corners
+function rrectShape (rrect) {
+  const { left, top, right, bottom } = rrect
+  const ul = rrect.upperLeftRadius || { xRadius: 0, yRadius: 0 }
+  const ur = rrect.upperRightRadius || { xRadius: 0, yRadius: 0 }
+  const lr = rrect.lowerRightRadius || { xRadius: 0, yRadius: 0 }
+  const ll = rrect.lowerLeftRadius || { xRadius: 0, yRadius: 0 }
+  const corners = [ul, ur, lr, ll]
+
+  if (corners.every(r => r.xRadius === ul.xRadius && r.yRadius === ul.yRadius)) {
+    return `${rectShape(rrect)} rx="${num(ul.xRadius)}" ry="${num(ul.yRadius)}"`
+  }
+
+  const arc = (r, x, y) => `A${num(r.xRadius)} ${num(r.yRadius)} 0 0 1 ${num(x)} ${num(y)}`
+  const d = [
+    `M${num(left + ul.xRadius)} ${num(top)}`,
+    `H${num(right - ur.xRadius)}`, arc(ur, right, top + ur.yRadius),
+    `V${num(bottom - lr.yRadius)}`, arc(lr, right - lr.xRadius, bottom),
+    `H${num(left + ll.xRadius)}`, arc(ll, left, bottom - ll.yRadius),
+    `V${num(top + ul.yRadius)}`, arc(ul, left + ul.xRadius, top),
+    'Z'
+  ].join(' ')
+  return `<path d="${d}"`
+}
+
+function ovalShape ({ left, top, right, bottom }) {
+  return `<ellipse cx="${num((left + right) / 2)}" cy="${num((top + bottom) / 2)}" rx="${num((right - left) / 2)}" ry="${num((bottom - top) / 2)}"`
+}
+
+function clipShape (params) {
+  if (params.rrect) return rrectShape(params.rrect)
+  if (params.rect) return rectShape(params.rect)
+  return null
+}
+
+// 2D part of a Skia 3x3 matrix, logged row by row
+function matrixTransform (matrix) {
+  const m = Array.isArray(matrix) ? matrix.flat(2) : []
+  if (m.length < 6) return null
+  return `matrix(${num(m[0])} ${num(m[3])} ${num(m[1])} ${num(m[4])} ${num(m[2])} ${num(m[5])})`
+}
+
+// 2D part of a column-major 4x4 layer transform, applied around the anchor
+function layerTransform (layer) {
+  const m = layer.transform
+  if (!Array.isArray(m) || m.length !== 16) return ''
+
+  const ax = (layer.anchor?.x || 0) * (layer.bounds?.width || 0)
+  const ay = (layer.anchor?.y || 0) * (layer.bounds?.height || 0)
+  return ` translate(${num(ax)} ${num(ay)}) matrix(${[m[0], m[1], m[4], m[5], m[12], m[13]].map(num).join(' ')}) translate(${num(-ax)} ${num(-ay)})`
+}
+
+// Turns a command stream into SVG elements. Every save/restore block becomes a
+// scope in which translates, clips and layer opacity open nested groups.
+function commandsToSvg (commands, context) {
+  const out = []
+  const frames = [0]
+  const open = (tag) => {
+    out.push(tag)
+    frames[frames.length - 1]++
+  }
+  const closeFrame = () => {
+    out.push('</g>'.repeat(frames.pop()))
+  }
+
+  for (const cmd of commands) {
+    const params = cmd.params || {}
+    const method = cmd.method
+
+    if (SAVE_METHODS.includes(method)) {
+      frames.push(0)
+      if (method === 'saveLayer' && params.paint) {
+        const { alpha } = parseColor(params.paint.color)
+        open(`<g data-method="saveLayer" opacity="${alpha}">`)
+      }
+    } else if (RESTORE_METHODS.includes(method)) {
+      if (frames.length > 1) closeFrame()
+    } else if (method === 'translate') {
+      open(`<g transform="translate(${num(params.dx)} ${num(params.dy)})">`)
+    } else if (method === 'scale') {
+      open(`<g transform="scale(${num(params.sx ?? params.scaleX ?? 1)} ${num(params.sy ?? params.scaleY ?? 1)})">`)
+    } else if (method === 'concat' || method === 'setMatrix') {
+      const transform = matrixTransform(params.matrix)
+      if (transform) open(`<g transform="${transform}">`)
+    } else if (method === 'clipRect' || method === 'clipRRect') {
+      const shape = clipShape(params)
+      if (!shape) continue
+      const id = `clip${context.nextId++}`
+
+      if (params['SkRegion::Op'] === 'kDifference_Op') {
+        context.defs.push(`<mask id="${id}" maskUnits="userSpaceOnUse" x="${-HUGE}" y="${-HUGE}" width="${2 * HUGE}" height="${2 * HUGE}">` +
+          `<rect x="${-HUGE}" y="${-HUGE}" width="${2 * HUGE}" height="${2 * HUGE}" fill="white"/>${shape} fill="black"/></mask>`)
+        open(`<g mask="url(#${id})">`)
+      } else {
+        context.defs.push(`<clipPath id="${id}">${shape}/></clipPath>`)
+        open(`<g clip-path="url(#${id})">`)
+      }
+    } else if (isTransparent(params.paint)) {
+      // Nothing visible, e.g. the clearing drawPaint at the start of a layer
+    } else if (method === 'drawPaint') {
+      out.push(`<rect data-method="drawPaint" x="${-HUGE}" y="${-HUGE}" width="${2 * HUGE}" height="${2 * HUGE}" ${paintAttributes(params.paint)}/>`)
+    } else if (method === 'drawRect' && params.rect) {
+      out.push(`${rectShape(params.rect)} data-method="drawRect" ${paintAttributes(params.paint)}/>`)
+    } else if ((method === 'drawRRect' || method === 'drawDRRect') && (params.rrect || params.outer)) {
+      out.push(`${rrectShape(params.rrect || params.outer)} data-method="${method}" ${paintAttributes(params.paint)}/>`)
+    } else if (method === 'drawOval' && params.oval) {
+      out.push(`${ovalShape(params.oval)} data-method="drawOval" ${paintAttributes(params.paint)}/>`)
+    } else if (method === 'drawTextBlob') {
+      // Command logs only carry the origin; text is there when it was recovered
+      if (params.text && params.rect) {
+        // Text boxes from the layout, positioned by their top edge
+        const { rect, font = {} } = params
+        const size = parseFloat(font.size) ? ` font-size="${num(parseFloat(font.size))}"` : ''
+        const family = font.family ? ` font-family="${escapeXml(font.family)}"` : ''
+        out.push(`<text data-method="drawTextBlob" x="${num(rect.left)}" y="${num(rect.top)}" dominant-baseline="text-before-edge"${size}${family} ${paintAttributes(params.paint)}>${escapeXml(params.text)}</text>`)
+      } else if (params.text) {
+        const size = params.fontSize ? ` font-size="${num(params.fontSize)}"` : ''
+        out.push(`<text data-method="drawTextBlob" x="${num(params.x)}" y="${num(params.y)}"${size} ${paintAttributes(params.paint)}>${escapeXml(params.text)}</text>`)
+      } else {
+        out.push(`<circle data-method="drawTextBlob" cx="${num(params.x)}" cy="${num(params.y)}" r="1.5" ${paintAttributes(params.paint)}/>`)
+      }
+    } else if (method.startsWith('draw')) {
+      // Images, paths, ... are drawn as dashed outlines of their bounds when known
+      const bounds = commandBounds(cmd) || commandBounds({ params: { rect: params.dst } })
+      if (bounds) {
+        out.push(`${rectShape(bounds)} data-method="${escapeXml(method)}" fill="none" stroke="#888888" stroke-dasharray="4 2"/>`)
+      }
+    }
+  }
+
+  while (frames.length > 0) closeFrame()
+  return out.join('\n')
+}
+
+// Canvas size of commands drawn without layers
+function commandsExtent (commands) {
+  let width = 0
+  let height = 0
+  walkCommands(commands, (cmd, offset) => {
+    const bounds = cmd.method.startsWith('draw') && cmd.method !== 'drawPaint' && commandBounds(cmd)
+    if (bounds) {
+      width = Math.max(width, bounds.right + offset.dx)
+      height = Math.max(height, bounds.bottom + offset.dy)
+    }
+  })
+  return width > 0 && height > 0 ? { width: Math.ceil(width), height: Math.ceil(height) } : DEFAULT_SIZE
+}
+
+function layerToSvg (layer, childrenOf, context) {
+  const { x = 0, y = 0, width = 0, height = 0 } = layer.bounds || {}
+  const id = `layer${context.nextId++}`
+  const parts = [`<g data-layer="${escapeXml(layer.id)}" transform="translate(${num(x)} ${num(y)})${layerTransform(layer)}">`]
+
+  if (layer.commands.length > 0) {
+    // A layer only paints inside its own bounds
+    context.defs.push(`<clipPath id="${id}"><rect width="${num(width)}" height="${num(height)}"/></clipPath>`)
+    parts.push(`<g clip-path="url(#${id})">`, commandsToSvg(layer.commands, context), '</g>')
+  }
+
+  for (const child of childrenOf.get(layer.id) || []) {
+    parts.push(layerToSvg(child, childrenOf, context))
+  }
+
+  parts.push('</g>')
+  return parts.join('\n')
+}
+
+// Body and size of a snapshot, with layers nested as in the layer tree
+function renderSnapshot (snapshot, context) {
+  if (!snapshot.layers) {
+    const commands = snapshot.commands || []
+    return { body: commandsToSvg(commands, context), size: commandsExtent(commands) }
+  }
+
+  const ids = new Set(snapshot.layers.map(layer => layer.id))
+  const childrenOf = new Map()
+  for (const layer of snapshot.layers) {
+    // Parents dropped by element scoping make their children roots
+    const parentId = ids.has(layer.parentId) ? layer.parentId : null
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, [])
+    childrenOf.get(parentId).push(layer)
+  }
+
+  // Scoped snapshots store the element's box as edges, see resolveElementBox
+  const roots = childrenOf.get(null) || []
+  const box = snapshot.scope?.box
+  const size = box
+    ? { width: Math.ceil(box.right - box.left), height: Math.ceil(box.bottom - box.top) }
+    : roots.reduce((extent, layer) => ({
+      width: Math.max(extent.width, Math.ceil((layer.bounds?.x || 0) + (layer.bounds?.width || 0))),
+      height: Math.max(extent.height, Math.ceil((layer.bounds?.y || 0) + (layer.bounds?.height || 0)))
+    }), { width: 0, height: 0 })
+
+  const body = [
+    ...roots.map(layer => layerToSvg(layer, childrenOf, context)),
+    snapshot.textCommands?.length > 0 ? `<g data-text-commands="">${commandsToSvg(snapshot.textCommands, context)}</g>` : '',
+    snapshot.imageCommands?.length > 0 ? `<g data-image-commands="">${commandsToSvg(snapshot.imageCommands, context)}</g>` : ''
+  ].join('\n')
+
+  return { body, size: size.width > 0 && size.height > 0 ? size : DEFAULT_SIZE }
+}
+
+function svgDocument ({ width, height }, defs, body) {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<defs>${defs.join('\n')}</defs>`,
+    body,
+    '</svg>',
+    ''
+  ].join('\n')
+}
+
+// Stored snapshot (with layers, or an older flat one) to a standalone SVG document
+function snapshotToSvg (snapshot) {
+  const context = { defs: [], nextId: 0 }
+  const { body, size } = renderSnapshot(snapshot, context)
+  return svgDocument(size, context.defs, body)
+}
+
+// Baseline, actual, and both blended with difference, so unchanged areas turn black
+function diffToSvg (baseline, actual, { gap = 20, labelHeight = 24 } = {}) {
+  const context = { defs: [], nextId: 0 }
+  const left = renderSnapshot(baseline, context)
+  const right = renderSnapshot(actual, context)
+  const width = Math.max(left.size.width, right.size.width)
+  const height = Math.max(left.size.height, right.size.height)
+
+  const panel = (index, label, content) => {
+    const x = index * (width + gap)
+    return `<g transform="translate(${x} 0)">` +
+      `<text x="0" y="16" font-family="sans-serif" font-size="14">${label}</text>` +
+      `<svg x="0" y="${labelHeight}" width="${width}" height="${height}" style="isolation:isolate">` +
+      `<rect width="${width}" height="${height}" fill="white"/>${content}</svg></g>`
+  }
+
+  const body = [
+    panel(0, 'Baseline', left.body),
+    panel(1, 'Actual', right.body),
+    panel(2, 'Difference', `${left.body}<g style="mix-blend-mode:difference">${right.body}</g>`)
+  ].join('\n')
+
+  return svgDocument({ width: 3 * width + 2 * gap, height: height + labelHeight }, context.defs, body)
+}
+
+export { commandsToSvg, snapshotToSvg, diffToSvg }
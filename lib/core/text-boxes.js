@@ -0,0 +1,86 @@
+import { SNAPSHOT_STYLES, forEachDocument } from './dom-nodes.js'
+
+const style = (name) => SNAPSHOT_STYLES.indexOf(name)
+
+// Computed colors like "rgb(51, 51, 51)" in the #AARRGGBB form Skia logs
+function skiaColor (color) {
+  const match = /^rgba?\(([^)]*)\)$/.exec(color || '')
+  if (!match) return color
+  const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number)
+  return '#' + [Math.round(a * 255), r, g, b]
+    .map(channel => channel.toString(16).padStart(2, '0').toUpperCase())
+    .join('')
+}
+
+// Fonts the renderer actually used for each node, so a fallback font kicking in
+// shows up as a change. Needs the DOM and CSS domains enabled.
+async function platformFonts (client, backendNodeIds) {
+  const fonts = new Map()
+  if (backendNodeIds.length === 0) return fonts
+
+  await client.send('DOM.getDocument', { depth: -1, pierce: true })
+  const { nodeIds } = await client.send('DOM.pushNodesByBackendIdsToFrontend', { backendNodeIds })
+
+  for (let i = 0; i < nodeIds.length; i++) {
+    if (!nodeIds[i]) continue
+    try {
+      const result = await client.send('CSS.getPlatformFontsForNode', { nodeId: nodeIds[i] })
+      fonts.set(backendNodeIds[i], result.fonts
+        .map(({ familyName, postScriptName, isCustomFont, glyphCount }) => ({ familyName, postScriptName, isCustomFont, glyphCount }))
+        .sort((a, b) => b.glyphCount - a.glyphCount))
+    } catch (e) {
+      // Nodes can go away between the snapshot and this call
+    }
+  }
+
+  return fonts
+}
+
+// One drawTextBlob per layout text box (a line fragment of a text node), with
+// the box as rect in page coordinates. Covers shadow DOM and iframes.
+async function captureTextCommands (client, snapshot) {
+  const boxes = []
+
+  forEachDocument(snapshot, ({ nodes, layout, textBoxes }, { selectorOf, place }) => {
+    textBoxes.layoutIndex.forEach((layoutIndex, i) => {
+      const nodeIndex = layout.nodeIndex[layoutIndex]
+      const styles = (layout.styles[layoutIndex] || []).map(index => index >= 0 ? snapshot.strings[index] : '')
+      if (styles[style('visibility')] === 'hidden') return
+
+      const content = snapshot.strings[layout.text[layoutIndex]] || ''
+      const text = content.substr(textBoxes.start[i], textBoxes.length[i])
+      if (!text.trim()) return
+
+      boxes.push({
+        backendNodeId: nodes.backendNodeId[nodeIndex],
+        node: selectorOf(nodeIndex),
+        bounds: place(textBoxes.bounds[i]),
+        text,
+        styles
+      })
+    })
+  })
+
+  const fonts = await platformFonts(client, [...new Set(boxes.map(box => box.backendNodeId))])
+
+  return boxes.map(({ backendNodeId, node, bounds, text, styles }) => {
+    const command = {
+      method: 'drawTextBlob',
+      params: {
+        text,
+        rect: bounds,
+        paint: { color: skiaColor(styles[style('color')]) },
+        font: {
+          family: styles[style('font-family')],
+          size: styles[style('font-size')],
+          weight: styles[style('font-weight')],
+          style: styles[style('font-style')],
+          platform: fonts.get(backendNodeId) || []
+        }
+      }
+    }
+    return node ? { ...command, node } : command
+  })
+}
+
+export { captureTextCommands, skiaColor }
@@ -0,0 +1,102 @@
+import { myers } from './command-diff.js'
+
+// Above this many word edits a run is reported as replaced as a whole
+const MAX_WORD_EDITS = 1000
+
+// Unchanged words kept around a change in descriptions
+const CONTEXT_WORDS = 3
+
+// Consecutive drawTextBlob commands of the same element, one per line fragment,
+// joined into the text that element shows
+function textRuns (commands) {
+  const runs = []
+  let current = null
+
+  commands.forEach((cmd, index) => {
+    const text = cmd.method === 'drawTextBlob' ? cmd.params?.text : undefined
+    if (typeof text !== 'string') return
+
+    const node = cmd.node || null
+    if (current && node && current.node === node && current.end === index - 1) {
+      current.text += ` ${text}`
+      current.end = index
+    } else {
+      current = { node, text, start: index, end: index }
+      runs.push(current)
+    }
+  })
+
+  runs.forEach(run => {
+    run.text = run.text.replace(/\s+/g, ' ').trim()
+  })
+  return runs
+}
+
+function words (text) {
+  return text.match(/\S+/g) || []
+}
+
+// Word-level diff as ops [{ op: 'equal' | 'insert' | 'delete', words }]
+function diffWords (baselineText = '', actualText = '') {
+  const baseline = words(baselineText)
+  const actual = words(actualText)
+  const script = myers(baseline, actual, MAX_WORD_EDITS) ||
+    [...baseline.map((word, i) => ['delete', i, 0]), ...actual.map((word, i) => ['insert', 0, i])]
+
+  const ops = []
+  for (const [op, x, y] of script) {
+    const word = op === 'insert' ? actual[y] : baseline[x]
+    const last = ops[ops.length - 1]
+    if (last && last.op === op) last.words.push(word)
+    else ops.push({ op, words: [word] })
+  }
+  return ops
+}
+
+// git --word-diff style: "footer > p: © [-2024-]{+2025+} Example Inc."
+function describeTextChange ({ node, ops }) {
+  const parts = ops.map(({ op, words }, i) => {
+    if (op === 'insert') return `{+${words.join(' ')}+}`
+    if (op === 'delete') return `[-${words.join(' ')}-]`
+
+    const head = i > 0 ? words.slice(0, CONTEXT_WORDS) : []
+    const tail = i < ops.length - 1 ? words.slice(-CONTEXT_WORDS) : []
+    if (head.length + tail.length >= words.length) return words.join(' ')
+    return [...head, '…', ...tail].join(' ')
+  })
+  return `${node || 'text'}: ${parts.join(' ')}`
+}
+
+// Pairs the text runs of both snapshots by element, in paint order, and reports
+// each whose words changed as { node, baseline, actual, inserted, removed, ops,
+// description }. Runs only on one side have no baseline or no actual text.
+function diffTextRuns (baselineCommands = [], actualCommands = []) {
+  const pending = new Map()
+  for (const run of textRuns(baselineCommands)) {
+    if (!pending.has(run.node)) pending.set(run.node, [])
+    pending.get(run.node).push(run)
+  }
+
+  const pairs = textRuns(actualCommands).map(run => [pending.get(run.node)?.shift() || null, run])
+  pending.forEach(runs => runs.forEach(run => pairs.push([run, null])))
+
+  const changes = []
+  for (const [baseline, actual] of pairs) {
+    if (baseline && actual && baseline.text === actual.text) continue
+
+    const ops = diffWords(baseline?.text, actual?.text)
+    const change = {
+      node: (actual || baseline).node,
+      baseline: baseline ? baseline.text : null,
+      actual: actual ? actual.text : null,
+      inserted: ops.filter(({ op }) => op === 'insert').flatMap(({ words }) => words),
+      removed: ops.filter(({ op }) => op === 'delete').flatMap(({ words }) => words),
+      ops
+    }
+    change.description = describeTextChange(change)
+    changes.push(change)
+  }
+  return changes
+}
+
+export { textRuns, diffWords, diffTextRuns, describeTextChange }
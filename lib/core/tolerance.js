@@ -0,0 +1,114 @@
+import { diffCommands } from './command-diff.js'
+
+const defaultTolerance = {
+  epsilon: 0, // Max coordinate difference, in CSS pixels
+  colorThreshold: 0, // Max channel difference, 0 = exact, 1 = any color
+  methods: {} // Per-method overrides, e.g. { drawTextBlob: { epsilon: 1 }, drawPaint: { ignore: true } }
+}
+
+// Skia logs colors as #AARRGGBB
+function parseColor (value) {
+  if (typeof value !== 'string') return null
+  const match = value.match(/^#([0-9a-f]{8}|[0-9a-f]{6})$/i)
+  if (!match) return null
+
+  const hex = match[1].length === 6 ? `FF${match[1]}` : match[1]
+  return [0, 2, 4, 6].map(i => parseInt(hex.substring(i, i + 2), 16))
+}
+
+function colorDistance (baseline, actual) {
+  const a = parseColor(baseline)
+  const b = parseColor(actual)
+  if (!a || !b) return null
+  return Math.max(...a.map((channel, i) => Math.abs(channel - b[i]))) / 255
+}
+
+function rulesFor (method, tolerance) {
+  const { methods, ...rules } = tolerance
+  return { ignoreParams: [], ...rules, ...methods[method] }
+}
+
+function isTolerated (change, rules) {
+  if (rules.ignoreParams.some(param => change.path === param || change.path.startsWith(`${param}.`))) {
+    return true
+  }
+
+  if (change.category === 'color') {
+    const distance = colorDistance(change.baseline, change.actual)
+    return distance !== null && distance <= rules.colorThreshold
+  }
+
+  if (['geometry', 'transform'].includes(change.category) &&
+      typeof change.baseline === 'number' && typeof change.actual === 'number') {
+    return Math.abs(change.baseline - change.actual) <= rules.epsilon
+  }
+
+  return false
+}
+
+// Layer moves and resizes within epsilon are tolerated. Added or removed layers and
+// other property changes never are; changed command lists are left to the commands.
+function layerMismatches (layerDiff, epsilon) {
+  const within = (baseline, actual) => baseline && actual &&
+    ['x', 'y', 'width', 'height'].every(key => Math.abs(baseline[key] - actual[key]) <= epsilon)
+
+  return [
+    ...layerDiff.added.map(change => ({ type: 'added', ...change })),
+    ...layerDiff.removed.map(change => ({ type: 'removed', ...change })),
+    ...layerDiff.changed
+      .filter(change => change.property !== 'commands')
+      .filter(change => change.property !== 'bounds' || !within(change.baseline, change.actual))
+      .map(change => ({ type: 'changed', ...change }))
+  ]
+}
+
+// Compares command streams allowing small numeric and color differences, reusing
+// the comparison's diff when given one, and the layer changes within epsilon.
+// Returns a verdict and a score: the share of commands that match within tolerance.
+function compareWithTolerance (baselineCommands, actualCommands, options = {}, {
+  diff = diffCommands(baselineCommands, actualCommands),
+  layerDiff = null
+} = {}) {
+  const tolerance = { ...defaultTolerance, ...options, methods: { ...options.methods } }
+
+  const ignored = command => rulesFor(command.method, tolerance).ignore
+  const mismatches = []
+  let tolerated = 0
+
+  for (const entry of diff.added) {
+    if (!ignored(entry.command)) mismatches.push({ type: 'added', ...entry })
+  }
+  for (const entry of diff.removed) {
+    if (!ignored(entry.command)) mismatches.push({ type: 'removed', ...entry })
+  }
+  for (const entry of diff.modified) {
+    const rules = rulesFor(entry.method, tolerance)
+    const remaining = rules.ignore ? [] : entry.changes.filter(change => !isTolerated(change, rules))
+
+    if (remaining.length === 0) {
+      tolerated++
+    } else {
+      mismatches.push({
+        type: 'modified',
+        ...entry,
+        categories: [...new Set(remaining.map(change => change.category))],
+        changes: remaining
+      })
+    }
+  }
+
+  const layers = layerDiff ? layerMismatches(layerDiff, tolerance.epsilon) : []
+
+  const total = Math.max(baselineCommands.length, actualCommands.length)
+  const score = total === 0 ? 1 : 1 - mismatches.length / total
+
+  return {
+    match: mismatches.length === 0 && layers.length === 0,
+    score: Number(score.toFixed(4)),
+    tolerated,
+    mismatches,
+    layers
+  }
+}
+
+export { compareWithTolerance, colorDistance }
@@ -2,10 +2,12 @@ import { spawn } from 'child_process'
 import fs from 'fs'
 
 const config = {
-  iterations: 5,
-  testPages: ['test.html']
+  iterations: 5
 }
 
+// Printed by printSummary() once every scenario has run
+const SUMMARY = /Summary: (\d+)\/(\d+) scenarios passed/
+
 function runScript (scriptPath, args = []) {
   return new Promise((resolve, reject) => {
     const startTime = Date.now()
@@ -25,7 +27,9 @@ function runScript (scriptPath, args = []) {
     child.on('close', (code) => {
       const duration = Date.now() - startTime
 
-      if (code !== 0) {
+      // Exit code 1 after the summary means scenarios failed, which is a result too.
+      // Without the summary the script crashed.
+      if (code !== 0 && !(code === 1 && SUMMARY.test(output))) {
         // eslint-disable-next-line prefer-promise-reject-errors
         reject({ error, code })
       } else {
@@ -35,8 +39,13 @@ function runScript (scriptPath, args = []) {
   })
 }
 
+function parseSummary (output) {
+  const summaryMatch = output.match(SUMMARY)
+  return summaryMatch ? summaryMatch[1] === summaryMatch[2] : false
+}
+
 function parseCompositorOutput (output) {
-  const matchResult = output.includes('✅ Result: MATCH')
+  const matchResult = parseSummary(output)
   const hashMatch = output.match(/Baseline: ([a-f0-9]+)/)
   const actualMatch = output.match(/Actual: {3}([a-f0-9]+)/)
   const layersMatch = output.match(/Found (\d+) layers/)
@@ -50,7 +59,7 @@ function parseCompositorOutput (output) {
 }
 
 function parsePixelOutput (output) {
-  const matchResult = output.includes('✅ Visual test PASSED') || output.includes('✅ Baseline created')
+  const matchResult = parseSummary(output)
   const diffMatch = output.match(/Difference: ([\d.]+)%/)
   const pixelsMatch = output.match(/Mismatched pixels: (\d+) \/ (\d+)/)
 
@@ -163,7 +172,7 @@ async function runBenchmark () {
     console.log(`  Speed difference: Pixel method is ${inverseRatio}x faster`)
   }
 
-  const compositorSize = getFileSize('baseline.json') + getFileSize('actual.json')
+  const compositorSize = getFolderSize('./baseline-commands') + getFolderSize('./actual-commands')
   const pixelSize = getFolderSize('./baseline-images') + getFolderSize('./actual-images')
 
   console.log(`  Storage (Compositor): ${formatBytes(compositorSize)}`)
@@ -234,15 +243,6 @@ function calculateStats (results) {
   }
 }
 
-function getFileSize (filePath) {
-  try {
-    const stats = fs.statSync(filePath)
-    return stats.size
-  } catch (e) {
-    return 0
-  }
-}
-
 function getFolderSize (folderPath) {
   let totalSize = 0
 
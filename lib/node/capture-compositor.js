@@ -1,32 +1,75 @@
 import puppeteer from 'puppeteer'
-import crypto from 'crypto'
 import fs from 'fs'
+import path from 'path'
+import {
+  waitForLayerTree,
+  describeLayers,
+  snapshotCommands,
+  captureLayerTree,
+  flattenCommands,
+  hashLayers
+} from '../core/layer-tree.js'
+import { compareSnapshots } from '../core/compare.js'
+import { resolveElementBox, scopeCommands, scopeToBox } from '../core/element-scope.js'
+import { captureDomSnapshot, captureDomNodes, annotateCommands, nodeOwners } from '../core/dom-nodes.js'
+import { collectFrameImageSources, fingerprintImages, embedImageHashes } from '../core/images.js'
+import { createReplayRecorder } from '../core/replay.js'
+import { captureStable } from '../core/stable-capture.js'
+import { findFlakyCommands, quarantineSnapshot, loadQuarantine, describeQuarantineRule } from '../core/quarantine.js'
+import { normalizeSnapshot } from '../core/normalize.js'
+import { buildMerkleTree } from '../core/merkle.js'
+import {
+  collectElementRects,
+  selectorsOf,
+  ignoreRegions,
+  applyIgnoreRules,
+  describeIgnoreRules
+} from '../core/ignore.js'
+import { loadScenarios, openScenario, getArgValues, printSummary } from './scenarios.js'
 
 // Parse command line arguments
 const args = process.argv.slice(2)
 const verbose = args.includes('--verbose') || args.includes('-v')
 const log = verbose ? console.log : () => {}
+const replayAll = args.includes('--replay')
+const flakyRuns = Number(getArgValues(args, '--runs')[0] || 5)
+
+// Flakiness shows between captures, so it takes at least two
+if (!Number.isInteger(flakyRuns) || flakyRuns < 2) {
+  console.error(`--runs expects a whole number of at least 2, got "${getArgValues(args, '--runs')[0]}"`)
+  process.exit(1)
+}
+
+// Configuration
+const config = {
+  baselineFolder: `${process.cwd()}/baseline-commands`,
+  actualFolder: `${process.cwd()}/actual-commands`,
+  imagesFolder: `${process.cwd()}/compositor-images`,
+  policyFile: `${process.cwd()}/compositor-policy.json`
+}
+
+// Severities per kind of change, from --policy or compositor-policy.json when there is one
+const policyFile = getArgValues(args, '--policy')[0] || (fs.existsSync(config.policyFile) ? config.policyFile : null)
 
 let browser = null
 
-async function captureScreenshot (page, filename) {
+async function captureScreenshot (page, imagePath) {
   const screenshot = await page.screenshot({
     fullPage: true,
     type: 'png'
   })
 
   // Create images directory if it doesn't exist
-  const imagesDir = './compositor-images'
-  fs.mkdirSync(imagesDir, { recursive: true })
+  fs.mkdirSync(path.dirname(imagePath), { recursive: true })
 
   // Save the screenshot
-  fs.writeFileSync(`${imagesDir}/${filename}`, screenshot)
-  log(`Screenshot saved: ${imagesDir}/${filename}`)
+  fs.writeFileSync(imagePath, screenshot)
+  log(`Screenshot saved: ${imagePath}`)
 
   return screenshot
 }
 
-async function extractPaintCommands (url, captureImage = false, imageName = null) {
+async function extractPaintCommands (scenario, imagePath = null, replay = null) {
   if (!browser) {
     browser = await puppeteer.launch({
       headless: true,
@@ -36,12 +79,12 @@ async function extractPaintCommands (url, captureImage = false, imageName = null
   const page = await browser.newPage()
 
   // Navigate FIRST
-  await page.goto(url, { waitUntil: 'networkidle0' })
+  const determinism = await openScenario(page, scenario)
 
   // Capture screenshot if requested
   let screenshotBuffer = null
-  if (captureImage && imageName) {
-    screenshotBuffer = await captureScreenshot(page, imageName)
+  if (imagePath) {
+    screenshotBuffer = await captureScreenshot(page, imagePath)
   }
 
   // Get CDP session AFTER navigation
@@ -49,6 +92,7 @@ async function extractPaintCommands (url, captureImage = false, imageName = null
 
   // Enable required domains
   await client.send('DOM.enable')
+  await client.send('Page.enable')
   await client.send('LayerTree.enable')
 
   // Force a paint
@@ -58,118 +102,109 @@ async function extractPaintCommands (url, captureImage = false, imageName = null
     document.body.offsetHeight
   })
 
-  // Get the document root to find layers
-  const { root } = await client.send('DOM.getDocument')
-
-  // Get all layers by listening to layer tree updates
-  const layers = []
-  const layerPromise = new Promise(resolve => {
-    client.once('LayerTree.layerTreeDidChange', (params) => {
-      if (params.layers) {
-        resolve(params.layers)
-      }
-    })
-  })
-
-  // Trigger layer tree update
-  await page.evaluate(() => {
-    window.scrollBy(0, 1)
-    window.scrollBy(0, -1)
-  })
-
-  // Wait for layers with timeout
-  const detectedLayers = await Promise.race([
-    layerPromise,
-    new Promise(resolve => setTimeout(() => resolve([]), 1000))
-  ])
-
-  layers.push(...detectedLayers)
-
-  log(`Found ${layers.length} layers`)
-
-  // Extract paint commands from each layer
-  const allCommands = []
-
-  for (const layer of layers) {
-    try {
-      // Make snapshot of this layer
-      const { snapshotId } = await client.send('LayerTree.makeSnapshot', {
-        layerId: layer.layerId
-      })
-
-      // Get the actual paint commands
-      const { commandLog } = await client.send('LayerTree.snapshotCommandLog', {
-        snapshotId
-      })
-
-      if (commandLog) {
-        allCommands.push(commandLog)
-        log(`Layer ${layer.layerId}: ${commandLog.length} chars`)
-
-        // Parse and show what kind of commands we got
-        if (verbose) {
-          try {
-            const commands = JSON.parse(commandLog)
-            if (Array.isArray(commands) && commands.length > 0) {
-              log(`  Contains ${commands.length} paint operations`)
-            }
-          } catch (e) {
-            // commandLog might not be JSON
-          }
+  // Sample the layer tree until consecutive captures agree, so a page that is
+  // still painting fails instead of being stored half done
+  let recorder = null
+  let sampled
+  try {
+    sampled = await captureStable(async (attempt) => {
+      const detectedLayers = await waitForLayerTree(client, page)
+      log(`Sample ${attempt}: found ${detectedLayers.length} layers`)
+
+      // Render layer snapshots to PNG while they are still alive, keeping the accepted sample's
+      recorder = replay && createReplayRecorder(client, { ...replay, log })
+
+      // Extract paint commands from each layer, keeping the layer hierarchy, with
+      // the layers of elements named after them
+      const owners = nodeOwners(await captureDomSnapshot(client))
+      let layers = await captureLayerTree(client, detectedLayers, { owners, onSnapshot: recorder?.onSnapshot, log })
+
+      // If no layers found, try the document's root layer
+      if (!layers.some(layer => layer.commands.length > 0)) {
+        log('Trying root layer approach...')
+        try {
+          // Create a snapshot of the entire page
+          const [rootLayer] = describeLayers([{ layerId: 'document' }])
+          rootLayer.commands = await snapshotCommands(client, 'document')
+          layers = [rootLayer]
+          log(`Root snapshot: ${rootLayer.commands.length} paint operations`)
+        } catch (e) {
+          log('Root layer snapshot failed:', e.message)
         }
       }
 
-      // Release snapshot
-      await client.send('LayerTree.releaseSnapshot', {
-        snapshotId
-      })
-    } catch (e) {
-      log(`Layer ${layer.layerId}: Could not snapshot (${e.message})`)
-    }
+      return { layers, hash: hashLayers(layers), empty: flattenCommands({ layers }).length === 0 }
+    }, scenario.stability)
+  } catch (e) {
+    await page.close()
+    throw e
   }
 
-  // If no layers found, try the document's root layer
-  if (allCommands.length === 0) {
-    log('Trying root layer approach...')
-    try {
-      // Create a snapshot of the entire page
-      const { snapshotId } = await client.send('LayerTree.makeSnapshot', {
-        layerId: 'document'
-      })
-
-      const { commandLog } = await client.send('LayerTree.snapshotCommandLog', {
-        snapshotId
-      })
-
-      if (commandLog) {
-        allCommands.push(commandLog)
-        log(`Root snapshot: ${commandLog.length} chars`)
-      }
+  let layers = sampled.result.layers
+  const stability = sampled.stability
+  log(`Stable after ${stability.attempts} samples (${stability.elapsed} ms)`)
+
+  // Name the element behind every command while coordinates are still page-level
+  const annotated = annotateCommands({ layers }, await captureDomNodes(client))
+  layers = annotated.layers
+  log(`Mapped ${annotated.annotated} paint commands to DOM nodes`)
+
+  // Fingerprint the pixels of images, canvases and video frames the commands draw
+  const images = embedImageHashes({ layers }, await fingerprintImages(client, await collectFrameImageSources(page)))
+  layers = images.layers
+  let imageCommands = images.imageCommands
+  log(`Hashed ${images.matched} image draws, ${imageCommands.length} images without a draw`)
+
+  // Canonical { method, params } commands, then the scenario's normalizers
+  const normalized = normalizeSnapshot({ layers, imageCommands }, scenario.normalize)
+  layers = normalized.layers
+  imageCommands = normalized.imageCommands
+  log(`Normalized with ${normalized.applied.join(', ')}`)
+
+  // Drop commands for dynamic content, before coordinates become element-local
+  let ignore = null
+  if (scenario.ignore?.length > 0) {
+    const { rects } = await page.evaluate(collectElementRects, selectorsOf(scenario.ignore))
+    const regions = ignoreRegions(scenario.ignore, rects)
+    const filtered = applyIgnoreRules({ layers, textCommands: imageCommands }, scenario.ignore, regions)
+    layers = filtered.layers
+    imageCommands = filtered.textCommands
+    ignore = { rules: describeIgnoreRules(scenario.ignore), regions, dropped: filtered.dropped }
+    log(`Ignored ${filtered.dropped} paint commands`)
+  }
 
-      await client.send('LayerTree.releaseSnapshot', {
-        snapshotId
-      })
-    } catch (e) {
-      log('Root layer snapshot failed:', e.message)
-    }
+  // Keep only what is painted inside the element, in element-local coordinates
+  let scope = null
+  if (scenario.selector) {
+    const box = await resolveElementBox(client, page, scenario.selector)
+    layers = scopeToBox({ layers }, box).layers
+    imageCommands = scopeCommands(imageCommands, box)
+    scope = { selector: scenario.selector, box }
+    log(`Scoped to ${scenario.selector}: ${layers.length} layers`)
   }
 
-  if (allCommands.length === 0) {
+  const count = flattenCommands({ layers, imageCommands }).length
+
+  if (count === 0) {
     log('⚠️  No paint commands captured - layers might not be accessible')
     log('This can happen with simple pages that don\'t create separate layers')
   }
 
   await page.close()
 
-  // Create hash from paint commands
-  const commandsString = JSON.stringify(allCommands)
-  const hash = crypto.createHash('sha256').update(commandsString).digest('hex')
-
   return {
-    commands: allCommands,
-    hash: hash.substring(0, 16),
-    count: allCommands.length,
-    screenshot: screenshotBuffer
+    scope,
+    ignore,
+    determinism,
+    stability,
+    normalizers: normalized.applied,
+    layers,
+    imageCommands,
+    hash: hashLayers(layers, imageCommands),
+    merkle: buildMerkleTree({ layers, imageCommands }),
+    count,
+    screenshot: screenshotBuffer,
+    replays: recorder ? recorder.files : null
   }
 }
 
@@ -178,8 +213,14 @@ async function loadExistingCommands (filename) {
     const data = fs.readFileSync(filename, 'utf8')
     const parsed = JSON.parse(data)
 
+    // Snapshots from before layers were recorded have to be re-created
+    if (!parsed.layers) return null
+
     return {
-      commands: parsed.commands,
+      layers: parsed.layers,
+      imageCommands: parsed.imageCommands || [],
+      normalizers: parsed.normalizers || ['canonical'],
+      merkle: parsed.merkle || null,
       hash: parsed.hash,
       count: parsed.count,
       imagePath: parsed.imagePath
@@ -189,15 +230,43 @@ async function loadExistingCommands (filename) {
   }
 }
 
-async function comparePages () {
-  console.log('=== Compositor Paint Command Test ===\n')
+function saveCommands (filePath, data, imagePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+
+  // Save the FULL object structure, not just commands
+  fs.writeFileSync(filePath, JSON.stringify({
+    scope: data.scope,
+    ignore: data.ignore,
+    determinism: data.determinism,
+    stability: data.stability,
+    normalizers: data.normalizers,
+    merkle: data.merkle,
+    layers: data.layers,
+    imageCommands: data.imageCommands,
+    hash: data.hash,
+    count: data.count,
+    imagePath,
+    timestamp: new Date().toISOString()
+  }, null, 2))
+}
+
+async function compareScenario (scenario) {
+  const { snapshot } = scenario
+  const baselinePath = `${config.baselineFolder}/${snapshot}.json`
+  const actualPath = `${config.actualFolder}/${snapshot}.json`
+  const baselineImagePath = `${config.imagesFolder}/baseline/${snapshot}.png`
+  const actualImagePath = `${config.imagesFolder}/actual/${snapshot}.png`
+  const replayFolder = `${config.imagesFolder}/replay`
+  const replay = replayAll || scenario.replay
+
+  console.log(`\n▶ ${scenario.name}`)
 
   // Check if baseline exists AND is valid
-  let baseline = await loadExistingCommands('baseline.json')
+  let baseline = await loadExistingCommands(baselinePath)
 
   if (baseline && baseline.hash && baseline.count > 0) {
-    log('✓ Found valid baseline.json')
-    log(`  Baseline hash: ${baseline.hash}, ${baseline.count} command logs`)
+    log(`✓ Found valid baseline ${baselinePath}`)
+    log(`  Baseline hash: ${baseline.hash}, ${baseline.count} paint commands`)
     if (baseline.imagePath) {
       log(`  Image: ${baseline.imagePath}`)
     }
@@ -205,75 +274,236 @@ async function comparePages () {
     // Either doesn't exist or is invalid - create new baseline
     log('No valid baseline found. Creating new baseline...')
     baseline = await extractPaintCommands(
-      'file://' + process.cwd() + '/fixtures/test.html',
-      true, // captureImage
-      'baseline.png' // imageName
+      scenario,
+      baselineImagePath,
+      replay && { outputDir: `${replayFolder}/baseline/${snapshot}` }
     )
-
-    // Save the FULL object structure, not just commands
-    fs.writeFileSync(`${process.cwd()}/baseline.json`, JSON.stringify({
-      commands: baseline.commands,
-      hash: baseline.hash,
-      count: baseline.count,
-      imagePath: `${process.cwd()}/compositor-images/baseline.png`,
-      timestamp: new Date().toISOString()
-    }, null, 2))
-    log(`✓ Baseline created: hash=${baseline.hash}, ${baseline.count} command logs`)
+    saveCommands(baselinePath, baseline, baselineImagePath)
+    log(`✓ Baseline created: hash=${baseline.hash}, ${baseline.count} paint commands`)
   }
 
   // Always capture fresh actual with image
   log('\nCapturing actual state...')
-  const actual = await extractPaintCommands(
-    'file://' + process.cwd() + '/fixtures/test.html',
-    true, // captureImage
-    'actual.png' // imageName
-  )
-
-  // Save the FULL object structure
-  fs.writeFileSync('actual.json', JSON.stringify({
-    commands: actual.commands,
-    hash: actual.hash,
-    count: actual.count,
-    imagePath: './compositor-images/actual.png',
-    timestamp: new Date().toISOString()
-  }, null, 2))
-  log(`✓ Actual captured: hash=${actual.hash}, ${actual.count} command logs`)
+  let actualReplay = null
+  if (replay) {
+    fs.rmSync(`${replayFolder}/actual/${snapshot}`, { recursive: true, force: true })
+    // Only the layers whose steps changed against the baseline are rendered
+    actualReplay = { outputDir: `${replayFolder}/actual/${snapshot}`, baselineLayers: baseline.layers }
+  }
+  let actual = await extractPaintCommands(scenario, actualImagePath, actualReplay)
+  saveCommands(actualPath, actual, actualImagePath)
+  log(`✓ Actual captured: hash=${actual.hash}, ${actual.count} paint commands`)
+
+  // Commands --detect-flaky saw vary between identical runs don't count
+  const quarantine = loadQuarantine(quarantinePath(snapshot))
+  let suppressed = []
+  if (quarantine) {
+    baseline = quarantined(baseline, quarantine.rules).snapshot
+    const result = quarantined(actual, quarantine.rules)
+    actual = result.snapshot
+    suppressed = result.suppressed
+    console.log(`Quarantine: ${suppressed.length} flaky paint commands suppressed (${quarantinePath(snapshot)})`)
+    summarizeSuppressed(suppressed).forEach(line => log(`  ${line}`))
+  }
 
   // Compare
-  const identical = baseline.hash === actual.hash
+  const shiftPolicy = scenario.shifts || 'fail'
+  const { identical, verdict, match, evaluation, tolerance, shift, changes, outdated } = compareSnapshots(baseline, actual, {
+    tolerance: scenario.tolerance,
+    shifts: shiftPolicy,
+    policy: policyFile,
+    scenarios: [scenario.name, scenario.baseName, snapshot]
+  })
+
+  if (outdated) {
+    console.log(`❌ Result: OUTDATED\n  ${outdated}, run with --reset`)
+    return {
+      scenario: scenario.name,
+      match,
+      identical,
+      verdict,
+      score: 0,
+      baseline: baseline.hash,
+      actual: actual.hash,
+      shifted: 0,
+      suppressed: suppressed.length
+    }
+  }
 
   // Always show the result
-  console.log(`${identical ? '✅' : '❌'} Result: ${identical ? 'MATCH' : 'MISMATCH'}`)
+  const icon = { pass: '✅', warn: '⚠️ ', fail: '❌' }[verdict]
+  const label = verdict === 'warn' ? 'MATCH WITH WARNINGS' : match ? 'MATCH' : 'MISMATCH'
+  console.log(`${icon} Result: ${label}${tolerance ? ` (tolerance score ${tolerance.score})` : ''}`)
   console.log(`Baseline: ${baseline.hash}`)
   console.log(`Actual:   ${actual.hash}`)
 
-  if (identical) {
-    console.log('Images: ./compositor-images/[baseline.png, actual.png]')
+  if (shift?.shifts.length > 0) {
+    const print = shiftPolicy === 'warn' || !match ? console.log : log
+    print(`${shift.pure && match ? '⚠️  Only shifted' : 'Shifted'}: ${shift.shifted} paint commands`)
+    shift.shifts.forEach(({ description }) => print(`  ${description}`))
   }
 
-  if (!identical && baseline.count > 0 && actual.count > 0) {
+  // What the policy flagged, failures first
+  if (evaluation && verdict !== 'pass') {
+    const flagged = evaluation.changes.filter(change => change.severity !== 'ignore' && change.category !== 'shift')
+    flagged.sort((a, b) => (a.severity === 'fail' ? 0 : 1) - (b.severity === 'fail' ? 0 : 1))
+    flagged.slice(0, 10).forEach(({ severity, category, description }) => {
+      console.log(`  ${severity === 'fail' ? '❌' : '⚠️ '} [${category}] ${description}`)
+    })
+    if (flagged.length > 10) console.log(`  ... and ${flagged.length - 10} more`)
+    if (evaluation.counts.ignore > 0) log(`  ${evaluation.counts.ignore} changes ignored by policy`)
+  }
+
+  if (match) {
+    console.log(`Images: ${config.imagesFolder}/[baseline, actual]/${snapshot}.png`)
+  }
+
+  if (!match && baseline.count > 0 && actual.count > 0) {
     console.log('\n⚠️  Visual regression detected!')
-    console.log('  Check images: ./compositor-images/[baseline.png, actual.png]')
-    console.log('  Check JSON: baseline.json and actual.json for differences')
-
-    // Try to show where they differ
-    if (baseline.commands.length !== actual.commands.length) {
-      log(`  Different number of layers: ${baseline.commands.length} vs ${actual.commands.length}`)
-    } else {
-      for (let i = 0; i < baseline.commands.length; i++) {
-        if (baseline.commands[i] !== actual.commands[i]) {
-          log(`  Layer ${i} differs`)
-          break
-        }
+    console.log(`  Check images: ${config.imagesFolder}/[baseline, actual]/${snapshot}.png`)
+    console.log(`  Check JSON: ${baselinePath} and ${actualPath} for differences`)
+
+    // Show what differs beyond the shifts reported above
+    const { added, removed, modified, layers } = shift.remaining
+    layers.forEach(change => {
+      log(`  ${change.description}`)
+    })
+
+    // The smallest subtrees that changed
+    changes?.filter(change => !change.properties).forEach(change => {
+      const range = change.actual || change.baseline
+      log(`  Changed: ${change.path} (commands ${range.start}-${range.end})`)
+    })
+
+    log(`  Commands: ${added.length} added, ${removed.length} removed, ${modified.length} modified`)
+    modified.slice(0, 10).forEach(({ description, changes }) => {
+      log(`    ${description}`)
+      changes.forEach(change => log(`      [${change.category}] ${change.summary}`))
+    })
+
+    if (actual.replays?.length > 0) {
+      console.log(`  Check replays: ${replayFolder}/[baseline, actual]/${snapshot}/`)
+      actual.replays.filter(file => file.highlighted).forEach(file => {
+        log(`    layer ${file.layer} steps ${file.from}-${file.to}: ${file.highlighted}`)
+      })
+    }
+  }
+
+  return {
+    scenario: scenario.name,
+    match,
+    identical,
+    verdict,
+    score: tolerance ? tolerance.score : Number(identical),
+    baseline: baseline.hash,
+    actual: actual.hash,
+    shifted: shift ? shift.shifted : 0,
+    suppressed: suppressed.length
+  }
+}
+
+function quarantinePath (snapshot) {
+  return `${config.baselineFolder}/${snapshot}.quarantine.json`
+}
+
+// The snapshot with quarantined commands masked or dropped, and its hash redone
+function quarantined (snapshot, rules) {
+  const result = quarantineSnapshot(snapshot, rules)
+  return {
+    snapshot: { ...result.snapshot, count: flattenCommands(result.snapshot).length },
+    suppressed: result.suppressed
+  }
+}
+
+// One line per rule that fired, with how often
+function summarizeSuppressed (suppressed) {
+  const counts = new Map()
+  suppressed.forEach(({ rule, action }) => {
+    const line = `${describeQuarantineRule(rule)} (${action})`
+    counts.set(line, (counts.get(line) || 0) + 1)
+  })
+  return [...counts].map(([line, count]) => count > 1 ? `${line} ×${count}` : line)
+}
+
+// Captures the scenario several times and quarantines every paint command that
+// differs between those identical runs
+async function detectFlakyScenario (scenario) {
+  console.log(`\n▶ ${scenario.name}`)
+
+  const captures = []
+  const failures = []
+  for (let run = 1; run <= flakyRuns; run++) {
+    try {
+      const capture = await extractPaintCommands(scenario)
+      log(`  Run ${run}/${flakyRuns}: hash=${capture.hash}, ${capture.count} paint commands`)
+      if (capture.count === 0) throw new Error('no paint commands captured')
+      captures.push(capture)
+    } catch (e) {
+      failures.push(`run ${run}: ${e.message}`)
+    }
+  }
+
+  // A failed run says nothing about flakiness, and quarantining around it would hide real changes
+  if (failures.length > 0) {
+    console.log(`❌ Result: ERROR (${failures.length}/${flakyRuns} captures failed, quarantine left as it was)`)
+    failures.forEach(failure => console.log(`  ${failure}`))
+    return { scenario: scenario.name, match: false, error: failures[0] }
+  }
+
+  const rules = findFlakyCommands(captures)
+  const filename = quarantinePath(scenario.snapshot)
+  const hashes = new Set(captures.map(capture => capture.hash))
+
+  if (rules.length === 0) {
+    fs.rmSync(filename, { force: true })
+    console.log(`✅ Stable: ${flakyRuns} runs, ${hashes.size} distinct hash`)
+  } else {
+    fs.mkdirSync(path.dirname(filename), { recursive: true })
+    fs.writeFileSync(filename, JSON.stringify({
+      runs: flakyRuns,
+      hashes: [...hashes],
+      rules,
+      timestamp: new Date().toISOString()
+    }, null, 2))
+    console.log(`⚠️  Flaky: ${rules.length} paint commands varied over ${flakyRuns} runs, quarantined in ${filename}`)
+    rules.forEach(rule => log(`  ${describeQuarantineRule(rule)} (${rule.runs}/${flakyRuns - 1} runs)`))
+  }
+
+  // Stable runs always agree, flaky ones are fine once quarantined
+  return { scenario: scenario.name, match: true, flaky: rules.length }
+}
+
+async function comparePages (runScenario = compareScenario) {
+  console.log('=== Compositor Paint Command Test ===')
+
+  const scenarios = await loadScenarios({
+    manifest: getArgValues(args, '--manifest')[0],
+    only: getArgValues(args, '--scenario')
+  })
+
+  const results = []
+  try {
+    for (const scenario of scenarios) {
+      try {
+        results.push(await runScenario(scenario))
+      } catch (e) {
+        console.log(`❌ Result: ERROR (${e.message})`)
+        results.push({ scenario: scenario.name, match: false, error: e.message })
       }
     }
+  } finally {
+    // Close browser at the end
+    if (browser) {
+      await browser.close()
+      browser = null
+    }
   }
 
-  // Close browser at the end
-  if (browser) {
-    await browser.close()
-    browser = null
+  if (!printSummary(results)) {
+    process.exitCode = 1
   }
+
+  return results
 }
 
 // Handle command line arguments
@@ -282,57 +512,58 @@ if (args.includes('--help') || args.includes('-h')) {
 Usage: node capture-compositor.js [options]
 
 Options:
-  --verbose, -v    Show detailed output
-  --reset, -r      Reset baseline
-  --clean          Clean all files and images
-  --help, -h       Show this help
+  --verbose, -v        Show detailed output
+  --manifest <file>    Scenario manifest (default: ./scenarios.json)
+  --scenario <name>    Only run the named scenario (repeatable)
+  --replay             Render layer snapshots to PNG (compositor-images/replay/)
+  --detect-flaky       Capture each scenario repeatedly and quarantine the paint
+                       commands that vary between runs
+  --runs <n>           Captures per scenario for --detect-flaky (default: 5)
+  --policy <file>      Severities per kind of change (default:
+                       ./compositor-policy.json when present)
+  --reset, -r          Reset baselines
+  --clean              Clean all files and images
+  --help, -h           Show this help
 
 By default runs in silent mode (minimal output).
+Baselines are saved to ./baseline-commands/<snapshot>.json
 Images are saved to ./compositor-images/
 	`)
   process.exit(0)
 } else if (args.includes('--reset') || args.includes('-r')) {
-  console.log('Resetting baseline...')
+  console.log('Resetting baselines...')
   try {
-    fs.unlinkSync('baseline.json')
-    console.log('✓ Baseline deleted. Will create new one on next run.')
+    fs.rmSync(config.baselineFolder, { recursive: true, force: true })
+    console.log('✓ Baselines deleted. Will create new ones on next run.')
   } catch (e) {
-    console.log('No baseline to reset.')
+    console.log('No baselines to reset.')
   }
   try {
-    fs.unlinkSync('actual.json')
-    console.log('✓ Actual deleted.')
+    fs.rmSync(config.actualFolder, { recursive: true, force: true })
+    console.log('✓ Actuals deleted.')
   } catch (e) {
-    // No actual to delete
+    // No actuals to delete
   }
   try {
-    fs.unlinkSync('./compositor-images/baseline.png')
-    fs.unlinkSync('./compositor-images/actual.png')
+    fs.rmSync(config.imagesFolder, { recursive: true, force: true })
     console.log('✓ Images deleted.')
   } catch (e) {
     // No images to delete
   }
 } else if (args.includes('--clean')) {
   console.log('Cleaning all files...')
-  const files = ['baseline.json', 'actual.json']
-  files.forEach(file => {
+  ;[config.baselineFolder, config.actualFolder, config.imagesFolder].forEach(folder => {
     try {
-      fs.unlinkSync(file)
-      console.log(`✓ Deleted ${file}`)
+      fs.rmSync(folder, { recursive: true, force: true })
+      console.log(`✓ Deleted ${folder}`)
     } catch (e) {
-      // File doesn't exist
+      // Directory doesn't exist
     }
   })
 
-  // Clean images directory
-  try {
-    fs.rmSync('./compositor-images', { recursive: true, force: true })
-    console.log('✓ Deleted compositor-images directory')
-  } catch (e) {
-    // Directory doesn't exist
-  }
-
   console.log('Run again to create fresh baseline.')
+} else if (args.includes('--detect-flaky')) {
+  comparePages(detectFlakyScenario).catch(console.error)
 } else {
   // Run the test
   comparePages().catch(console.error)
@@ -3,6 +3,8 @@ import fs from 'fs'
 import { PNG } from 'pngjs'
 import pixelmatch from 'pixelmatch'
 import sharp from 'sharp'
+import { collectElementRects, selectorsOf, ignoreRegions, maskRegions } from '../core/ignore.js'
+import { loadScenarios, openScenario, getArgValues, printSummary } from './scenarios.js'
 
 // Parse command line arguments
 const args = process.argv.slice(2)
@@ -15,12 +17,13 @@ const config = {
   actualFolder: `${process.cwd()}/actual-images`,
   diffFolder: `${process.cwd()}/diff-images`,
   threshold: 0.0, // 0 = exact match, 0.1 = 10% tolerance
-  includeAA: true // Include anti-aliasing
+  includeAA: true, // Include anti-aliasing
+  viewport: { width: 1280, height: 720, deviceScaleFactor: 1 } // Used when a scenario sets none
 }
 
 let browser = null
 
-async function captureScreenshot (url) {
+async function captureScreenshot (scenario) {
   if (!browser) {
     browser = await puppeteer.launch({
       headless: true,
@@ -31,20 +34,37 @@ async function captureScreenshot (url) {
   const page = await browser.newPage()
 
   // Set consistent viewport
-  await page.setViewport({
-    width: 1280,
-    height: 720,
-    deviceScaleFactor: 1
-  })
+  await page.setViewport(config.viewport)
 
   // Navigate and wait for page to be ready
-  await page.goto(url, { waitUntil: 'networkidle0' })
+  await openScenario(page, scenario)
+
+  // Take screenshot, of a single element when the scenario names one
+  let screenshot
+  if (scenario.selector) {
+    const element = await page.$(scenario.selector)
+    if (!element) {
+      throw new Error(`No element matches selector "${scenario.selector}"`)
+    }
+    screenshot = await element.screenshot({ type: 'png' })
+  } else {
+    screenshot = await page.screenshot({
+      fullPage: true,
+      type: 'png'
+    })
+  }
 
-  // Take screenshot
-  const screenshot = await page.screenshot({
-    fullPage: true,
-    type: 'png'
-  })
+  // Mask dynamic content, so the baseline shows what was excluded
+  if (scenario.ignore?.length > 0) {
+    const selectors = [scenario.selector, ...selectorsOf(scenario.ignore)].filter(Boolean)
+    const { rects, devicePixelRatio } = await page.evaluate(collectElementRects, selectors)
+    const origin = scenario.selector ? { x: rects[0][0].left, y: rects[0][0].top } : { x: 0, y: 0 }
+    const regions = ignoreRegions(scenario.ignore, scenario.selector ? rects.slice(1) : rects)
+
+    const image = maskRegions(PNG.sync.read(Buffer.from(screenshot)), regions, { origin, scale: devicePixelRatio })
+    screenshot = PNG.sync.write(image)
+    log(`  Masked ${regions.length} ignored regions`)
+  }
 
   await page.close()
 
@@ -166,15 +186,14 @@ function imagesHaveSameSize (firstImage, secondImage) {
   return firstImage.height === secondImage.height && firstImage.width === secondImage.width
 }
 
-async function comparePages () {
-  console.log('=== Pixel-Based Visual Regression Test ===\n')
+async function compareScenario (scenario) {
+  const snapshotName = `${scenario.snapshot}.png`
 
-  const testFile = 'file://' + process.cwd() + '/fixtures/test.html'
-  const snapshotName = 'test-page.png'
+  console.log(`\n▶ ${scenario.name}`)
 
   // Capture screenshot
   log('Capturing screenshot...')
-  const screenshot = await captureScreenshot(testFile)
+  const screenshot = await captureScreenshot(scenario)
 
   // Compare with baseline
   log('Comparing with baseline...')
@@ -186,6 +205,10 @@ async function comparePages () {
     diffFolder: config.diffFolder
   })
 
+  if (!result) {
+    throw new Error(`Could not read images for ${snapshotName}`)
+  }
+
   // Display results - always show the main result
   if (result.firstRun) {
     console.log('✅ Baseline created')
@@ -200,17 +223,50 @@ async function comparePages () {
     log(`  Diff saved to: ${config.diffFolder}/${snapshotName}`)
   }
 
-  // Close browser at the end
-  if (browser) {
-    await browser.close()
-    browser = null
+  return {
+    scenario: scenario.name,
+    match: result.match,
+    diffPercentage: result.diffPercentage || 0
+  }
+}
+
+async function comparePages () {
+  console.log('=== Pixel-Based Visual Regression Test ===')
+
+  const scenarios = await loadScenarios({
+    manifest: getArgValues(args, '--manifest')[0],
+    only: getArgValues(args, '--scenario')
+  })
+
+  const results = []
+  try {
+    for (const scenario of scenarios) {
+      try {
+        results.push(await compareScenario(scenario))
+      } catch (e) {
+        console.log(`❌ Visual test ERROR (${e.message})`)
+        results.push({ scenario: scenario.name, match: false, error: e.message })
+      }
+    }
+  } finally {
+    // Close browser at the end
+    if (browser) {
+      await browser.close()
+      browser = null
+    }
+  }
+
+  const passed = printSummary(results)
+  if (!passed) {
+    process.exitCode = 1
   }
 
   // Return result for benchmarking
   return {
     method: 'pixel-comparison',
-    match: result.match,
-    diffPercentage: result.diffPercentage || 0
+    match: passed,
+    diffPercentage: Math.max(...results.map(result => parseFloat(result.diffPercentage) || 0)),
+    scenarios: results
   }
 }
 
@@ -220,10 +276,12 @@ if (args.includes('--help') || args.includes('-h')) {
 Usage: node capture-pixels.js [options]
 
 Options:
-  --verbose, -v    Show detailed output
-  --reset, -r      Reset baseline images
-  --clean          Clean all image folders
-  --help, -h       Show this help
+  --verbose, -v        Show detailed output
+  --manifest <file>    Scenario manifest (default: ./scenarios.json)
+  --scenario <name>    Only run the named scenario (repeatable)
+  --reset, -r          Reset baseline images
+  --clean              Clean all image folders
+  --help, -h           Show this help
 
 By default runs in silent mode (minimal output).
 	`)
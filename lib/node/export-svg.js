@@ -0,0 +1,72 @@
+import fs from 'fs'
+import path from 'path'
+import { snapshotToSvg, diffToSvg } from '../core/svg.js'
+
+const args = process.argv.slice(2)
+
+function getArg (flag) {
+  const index = args.indexOf(flag)
+  return index === -1 ? null : args[index + 1]
+}
+
+function readSnapshot (file) {
+  const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'))
+  if (!snapshot.layers && !snapshot.commands) {
+    throw new Error(`${file} has no paint commands`)
+  }
+  return snapshot
+}
+
+function exportSvg () {
+  const out = getArg('--out')
+  const diffIndex = args.indexOf('--diff')
+
+  if (diffIndex !== -1) {
+    const [baselinePath, actualPath] = args.slice(diffIndex + 1, diffIndex + 3)
+    if (!baselinePath || !actualPath) {
+      throw new Error('--diff needs a baseline and an actual snapshot')
+    }
+
+    const target = out || actualPath.replace(/\.json$/, '') + '-diff.svg'
+    fs.writeFileSync(target, diffToSvg(readSnapshot(baselinePath), readSnapshot(actualPath)))
+    console.log(`✓ Diff written to ${target}`)
+    return
+  }
+
+  const files = args.filter((arg, i) => arg.endsWith('.json') && args[i - 1] !== '--out')
+  if (files.length === 0) {
+    throw new Error('No snapshot files given')
+  }
+  if (out && files.length > 1) {
+    throw new Error('--out only works with a single snapshot')
+  }
+
+  for (const file of files) {
+    const target = out || path.join(path.dirname(file), `${path.basename(file, '.json')}.svg`)
+    fs.writeFileSync(target, snapshotToSvg(readSnapshot(file)))
+    console.log(`✓ ${file} → ${target}`)
+  }
+}
+
+if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+  console.log(`
+Usage: node export-svg.js <snapshot.json>... [options]
+       node export-svg.js --diff <baseline.json> <actual.json> [options]
+
+Options:
+  --diff <a> <b>       Baseline, actual and their difference side by side
+  --out <file>         Output file (default: next to the snapshot, as .svg)
+  --help, -h           Show this help
+
+Snapshots are the JSON files in baseline-commands/, actual-commands/,
+baseline-data/ and actual-data/.
+	`)
+  process.exit(0)
+} else {
+  try {
+    exportSvg()
+  } catch (e) {
+    console.error(`❌ ${e.message}`)
+    process.exitCode = 1
+  }
+}
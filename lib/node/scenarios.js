@@ -0,0 +1,162 @@
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { prepareDeterminism } from '../core/determinism.js'
+import { expandMatrix, combinationName, applyEmulation } from '../core/emulation.js'
+import { pseudoStateVariants, variantName, forcePseudoState } from '../core/pseudo-state.js'
+import { normalizeReadiness, waitUntilReady } from '../core/readiness.js'
+
+const DEFAULT_MANIFESTS = ['scenarios.json', 'scenarios.config.js']
+
+const defaultScenario = {
+  name: 'test-page',
+  url: 'fixtures/test.html',
+  viewport: null,
+  wait: { until: 'networkidle0' },
+  snapshot: 'test-page'
+}
+
+function resolveUrl (url, baseDir) {
+  // Keep real URLs as they are, treat everything else as a path relative to the manifest
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) return url
+  return pathToFileURL(path.resolve(baseDir, url)).href
+}
+
+function normalizeScenario (scenario, baseDir) {
+  if (!scenario.name) {
+    throw new Error('Scenario is missing a "name"')
+  }
+  if (!scenario.url) {
+    throw new Error(`Scenario "${scenario.name}" is missing a "url"`)
+  }
+
+  return {
+    ...scenario,
+    url: resolveUrl(scenario.url, baseDir),
+    viewport: scenario.viewport || null,
+    wait: normalizeReadiness(scenario.wait, { until: 'networkidle0' }),
+    snapshot: scenario.snapshot || scenario.name
+  }
+}
+
+async function readManifest (manifestPath) {
+  if (manifestPath.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+  }
+  const module = await import(pathToFileURL(manifestPath).href)
+  return module.default
+}
+
+async function loadScenarios ({ manifest = null, only = [] } = {}) {
+  const manifestPath = manifest
+    ? path.resolve(manifest)
+    : DEFAULT_MANIFESTS.map(file => path.resolve(file)).find(file => fs.existsSync(file))
+
+  let scenarios = [defaultScenario]
+  let baseDir = process.cwd()
+
+  if (manifestPath) {
+    const parsed = await readManifest(manifestPath)
+    scenarios = Array.isArray(parsed) ? parsed : parsed.scenarios
+    baseDir = path.dirname(manifestPath)
+
+    if (!Array.isArray(scenarios) || scenarios.length === 0) {
+      throw new Error(`No scenarios found in ${manifestPath}`)
+    }
+  }
+
+  // Scenarios with a matrix run once per media/viewport combination, and scenarios
+  // with pseudoStates also once per forced state, each as their own snapshot
+  const normalized = scenarios
+    .map(scenario => normalizeScenario(scenario, baseDir))
+    .flatMap(scenario => scenario.matrix
+      ? expandMatrix(scenario.matrix).map(combination => ({
+        ...scenario,
+        name: combinationName(scenario.name, combination),
+        baseName: scenario.name,
+        snapshot: combinationName(scenario.snapshot, combination),
+        viewport: combination.viewport || scenario.viewport,
+        emulation: combination
+      }))
+      : [scenario])
+    .flatMap(scenario => [
+      scenario,
+      ...(scenario.pseudoStates ? pseudoStateVariants(scenario.pseudoStates) : []).map(variant => ({
+        ...scenario,
+        name: `${scenario.name}:${variant.suffix}`,
+        baseName: scenario.baseName || scenario.name,
+        snapshot: variantName(scenario.snapshot, variant),
+        pseudoState: variant
+      }))
+    ])
+
+  const names = new Set()
+  for (const scenario of normalized) {
+    if (names.has(scenario.snapshot)) {
+      throw new Error(`Duplicate snapshot name "${scenario.snapshot}" in scenarios`)
+    }
+    names.add(scenario.snapshot)
+  }
+
+  if (only.length === 0) return normalized
+
+  const selected = normalized.filter(scenario =>
+    only.includes(scenario.name) || only.includes(scenario.baseName)
+  )
+  if (selected.length === 0) {
+    throw new Error(`No scenarios match: ${only.join(', ')}`)
+  }
+  return selected
+}
+
+// Navigates to the scenario and waits for it; returns the determinism settings applied
+async function openScenario (page, scenario) {
+  if (scenario.viewport) {
+    await page.setViewport(scenario.viewport)
+  }
+
+  // The viewport is set above, only media emulation goes through CDP
+  if (scenario.emulation) {
+    const client = await page.target().createCDPSession()
+    await applyEmulation(client, { ...scenario.emulation, viewport: null })
+  }
+
+  const determinism = await prepareDeterminism(page, scenario.determinism)
+
+  await page.goto(scenario.url, { waitUntil: scenario.wait.until })
+  await waitUntilReady(page, scenario.wait)
+
+  const settings = determinism ? await determinism.settle() : null
+
+  if (scenario.pseudoState) {
+    const client = await page.target().createCDPSession()
+    await forcePseudoState(client, scenario.pseudoState.selector, scenario.pseudoState.state)
+    await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))))
+  }
+
+  return settings
+}
+
+// Collects repeated --flag values, e.g. --scenario a --scenario b
+function getArgValues (args, flag) {
+  const values = []
+  args.forEach((arg, i) => {
+    if (arg === flag && args[i + 1]) values.push(args[i + 1])
+    else if (arg.startsWith(`${flag}=`)) values.push(arg.slice(flag.length + 1))
+  })
+  return values
+}
+
+function printSummary (results) {
+  const failed = results.filter(result => !result.match)
+  const warned = results.filter(result => result.match && result.verdict === 'warn')
+
+  console.log('\n' + '='.repeat(40))
+  console.log(`Summary: ${results.length - failed.length}/${results.length} scenarios passed${warned.length > 0 ? `, ${warned.length} with warnings` : ''}`)
+  warned.forEach(result => console.log(`  ⚠️  ${result.scenario}`))
+  failed.forEach(result => console.log(`  ❌ ${result.scenario}`))
+
+  return failed.length === 0
+}
+
+export { loadScenarios, openScenario, getArgValues, printSummary }
@@ -1,6 +1,44 @@
 import fs from 'fs'
 import path from 'path'
-import crypto from 'crypto'
+import {
+  waitForLayerTree,
+  captureLayerTree,
+  flattenCommands,
+  hashLayers
+} from '../core/layer-tree.js'
+import { diffCommands } from '../core/command-diff.js'
+import { compareSnapshots } from '../core/compare.js'
+import { resolveElementBox, scopeCommands, scopeToBox } from '../core/element-scope.js'
+import { captureDomSnapshot, captureDomNodes, annotateCommands, nodeOwners } from '../core/dom-nodes.js'
+import { captureTextCommands } from '../core/text-boxes.js'
+import { collectFrameImageSources, fingerprintImages, embedImageHashes } from '../core/images.js'
+import {
+  DEFAULT_LAYOUT_STYLES,
+  captureLayout,
+  ignoreLayoutRegions,
+  scopeLayout,
+  hashLayout,
+  diffLayout
+} from '../core/layout.js'
+import { captureAccessibilityTree, hashAccessibilityTree, diffAccessibilityTree } from '../core/accessibility.js'
+import { prepareDeterminism } from '../core/determinism.js'
+import { createReplayRecorder } from '../core/replay.js'
+import { DEFAULT_STABILITY, captureStable } from '../core/stable-capture.js'
+import { DEFAULT_CONDITIONS, normalizeReadiness, waitUntilReady } from '../core/readiness.js'
+import { normalizeSnapshot } from '../core/normalize.js'
+import { buildMerkleTree } from '../core/merkle.js'
+import { findFlakyCommands, quarantineSnapshot, loadQuarantine, describeQuarantineRule } from '../core/quarantine.js'
+import { expandMatrix, combinationName, applyEmulation, clearEmulation } from '../core/emulation.js'
+import { pseudoStateVariants, variantName, forcePseudoState, clearPseudoState } from '../core/pseudo-state.js'
+import {
+  SCRIPT_TEXT_RULE,
+  collectElementRects,
+  selectorsOf,
+  ignoreRegions,
+  applyIgnoreRules,
+  describeIgnoreRules,
+  maskRegions
+} from '../core/ignore.js'
 
 export class CompositorService {
   constructor (options) {
@@ -9,8 +47,20 @@ export class CompositorService {
       actualDir: './actual-data',
       diffDir: './diff-images',
       updateBaseline: false,
-      mode: process.env.CI ? 'pixel' : 'compositor', // Auto-detect CI
+      mode: process.env.CI ? 'pixel' : 'compositor', // Auto-detect CI; or 'layout'
       pixelThreshold: 0.1,
+      compositorTolerance: null, // e.g. { epsilon: 0.5, colorThreshold: 0.02, methods: {} }
+      shifts: 'fail', // Changes that are only content moved by a uniform offset: 'fail', 'warn' or 'pass'
+      policy: null, // Severity per kind of change, e.g. { categories: { color: 'warn' } }, or a policy JSON file
+      determinism: null, // e.g. { animations: 'pause', now: '2024-01-01T00:00:00Z', randomSeed: 42 }
+      ignore: [SCRIPT_TEXT_RULE], // Script source drawn as text; e.g. [{ selector: '.timestamp' }, { rect: { left, top, right, bottom } }, { method: 'drawTextBlob', text: '^Updated' }]
+      wait: DEFAULT_CONDITIONS, // Readiness conditions before a capture, or { conditions, timeout }
+      normalize: [], // e.g. ['absolute', { name: 'round', digits: 1 }, 'colors', 'noops', { name: 'mine', run: commands => commands }]
+      stability: DEFAULT_STABILITY, // Consecutive identical samples a compositor capture needs, within a budget
+      replay: false, // Render layer snapshots to PNG in diffDir/<name>-replay/
+      layoutStyles: DEFAULT_LAYOUT_STYLES, // Computed styles compared in layout mode
+      layoutTolerance: 0, // Max box geometry difference in layout mode, in CSS pixels
+      accessibility: false, // Also snapshot and compare the accessibility tree, in any mode
       ...options
     }
 
@@ -27,43 +77,129 @@ export class CompositorService {
       compare: this.compare.bind(this, browser),
       captureCompositor: this.captureCompositorData.bind(this, browser),
       compareCompositor: this.compareCompositorData.bind(this, browser),
+      detectFlaky: this.detectFlakyCompositor.bind(this, browser),
       capturePixels: this.capturePixelData.bind(this, browser),
-      comparePixels: this.comparePixelData.bind(this, browser)
+      comparePixels: this.comparePixelData.bind(this, browser),
+      captureLayout: this.captureLayoutData.bind(this, browser),
+      compareLayout: this.compareLayoutData.bind(this, browser),
+      captureAccessibility: this.captureAccessibilityData.bind(this, browser),
+      compareAccessibility: this.compareAccessibilityData.bind(this, browser)
     }
   }
 
   // Unified capture method that respects mode
-  async capture (browser, name) {
+  async capture (browser, name, options = {}) {
+    if (options.matrix || options.pseudoStates) {
+      return this.forEachVariant(name, options, (variant, variantOptions) =>
+        this.capture(browser, variant, variantOptions)
+      )
+    }
+    let data
     if (this.options.mode === 'pixel') {
-      return this.capturePixelData(browser, name)
+      data = await this.capturePixelData(browser, name, options)
+    } else if (this.options.mode === 'layout') {
+      data = await this.captureLayoutData(browser, name, options)
+    } else {
+      data = await this.captureCompositorData(browser, name, options)
+    }
+
+    if (!(options.accessibility ?? this.options.accessibility)) {
+      return data
     }
-    return this.captureCompositorData(browser, name)
+    return { ...data, accessibility: await this.captureAccessibilityData(browser, name, options) }
   }
 
   // Unified compare method that respects mode
-  async compare (browser, name) {
+  async compare (browser, name, options = {}) {
+    if (options.matrix || options.pseudoStates) {
+      const variants = await this.forEachVariant(name, options, (variant, variantOptions) =>
+        this.compare(browser, variant, variantOptions)
+      )
+      const match = Object.values(variants).every(result => result.match || result.status === 'created')
+      const verdicts = Object.values(variants).map(result => result.verdict)
+      return {
+        status: match ? 'match' : 'mismatch',
+        mode: this.options.mode,
+        match,
+        verdict: ['fail', 'warn'].find(verdict => verdicts.includes(verdict)) || 'pass',
+        variants
+      }
+    }
+    let result
     if (this.options.mode === 'pixel') {
-      return this.comparePixelData(browser, name)
+      result = await this.comparePixelData(browser, name, options)
+    } else if (this.options.mode === 'layout') {
+      result = await this.compareLayoutData(browser, name, options)
+    } else {
+      result = await this.compareCompositorData(browser, name, options)
     }
-    return this.compareCompositorData(browser, name)
+
+    // Modes without a policy pass or fail as a whole
+    result = { ...result, verdict: result.verdict || (result.match === false ? 'fail' : 'pass') }
+
+    if (!(options.accessibility ?? this.options.accessibility)) {
+      return result
+    }
+
+    // A broken label or role fails the comparison even when the pixels match
+    const accessibility = await this.compareAccessibilityData(browser, name, options)
+    if (accessibility.status === 'mismatch') {
+      return { ...result, status: 'mismatch', match: false, verdict: 'fail', accessibility }
+    }
+    return { ...result, accessibility }
   }
 
-  async captureCompositorData (browser, name) {
+  // Runs fn once per emulation combination (name@scheme-dark) or, within those, once per
+  // forced pseudo-state (name--hover), each variant stored as its own snapshot
+  // and knowing the name it was expanded from as baseName
+  async forEachVariant (name, options, fn) {
+    const { matrix, pseudoStates, ...rest } = options
+    rest.baseName = rest.baseName ?? name
+    const results = {}
+
+    if (matrix) {
+      for (const combination of expandMatrix(matrix)) {
+        results[combination.suffix] = await fn(combinationName(name, combination), {
+          ...rest,
+          pseudoStates,
+          emulation: combination
+        })
+      }
+      return results
+    }
+
+    for (const variant of pseudoStateVariants(pseudoStates)) {
+      results[variant.suffix] = await fn(variantName(name, variant), { ...rest, pseudoState: variant })
+    }
+    return results
+  }
+
+  async captureCompositorData (browser, name, options = {}) {
+    let emulationClient = null
+    let determinism = null
+    let pseudoStateClient = null
+    let pseudoStateNodes = []
     try {
       const puppeteer = await browser.getPuppeteer()
       const pages = await puppeteer.pages()
       const page = pages[0]
       const client = await page.target().createCDPSession()
 
+      if (options.emulation) {
+        await applyEmulation(client, options.emulation)
+        emulationClient = client
+      }
+
+      // Time and animation control has to be in place before the reload
+      determinism = await prepareDeterminism(page, options.determinism ?? this.options.determinism)
+
       await client.send('Network.setCacheDisabled', { cacheDisabled: true })
       await client.send('Page.reload', {
         ignoreCache: true,
         scriptToEvaluateOnLoad: 'document.body.style.opacity = "0.9999"'
       })
 
-      await page.waitForFunction('Array.prototype.every.call(document.getElementsByTagName("img"), image => image.complete)')
-      await page.waitForFunction('document.readyState === "complete"')
-      await page.waitForFunction('document.fonts.ready')
+      const readiness = await waitUntilReady(page, this.readiness(options))
 
       // Enable required domains
       await client.send('Runtime.enable')
@@ -93,154 +229,106 @@ export class CompositorService {
         })
       })
 
+      // Force :hover, :focus, ... before the layers are snapshotted
+      if (options.pseudoState) {
+        pseudoStateClient = client
+        pseudoStateNodes = await forcePseudoState(client, options.pseudoState.selector, options.pseudoState.state)
+      }
+
       // Wait for pending tree to commit and activate
       await page.evaluate(() => new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r))))
 
-      // Get layers
-      const layers = []
-      const layerPromise = new Promise(resolve => {
-        client.once('LayerTree.layerTreeDidChange', (params) => {
-          if (params.layers) resolve(params.layers)
-        })
-      })
+      // After the document rewrite above, which restarts animations and timers
+      const determinismSettings = determinism ? await determinism.settle() : null
 
-      await page.evaluate(() => {
-        window.scrollBy(0, 1)
-        window.scrollBy(0, -1)
-      })
+      const replayEnabled = options.replay ?? this.options.replay
 
-      const detectedLayers = await Promise.race([
-        layerPromise,
-        new Promise(resolve => setTimeout(() => resolve([]), 1000))
-      ])
-
-      layers.push(...detectedLayers)
-      console.log(`Found ${layers.length} layers`)
-
-      // Extract paint commands
-      const allCommands = []
-
-      for (const layer of layers) {
-        try {
-          const { snapshotId } = await client.send('LayerTree.makeSnapshot', {
-            layerId: layer.layerId
-          })
-
-          const result = await client.send('LayerTree.snapshotCommandLog', {
-            snapshotId,
-            fromStep: 0,
-            toStep: 999999
-          })
-
-          const commandLog = result.commandLog
-          if (commandLog) {
-            let commands = null
-            if (typeof commandLog === 'string') {
-              try {
-                commands = JSON.parse(commandLog)
-              } catch (e) {}
-            } else if (Array.isArray(commandLog)) {
-              commands = commandLog
-            } else if (typeof commandLog === 'object') {
-              commands = commandLog.commands || [commandLog]
-            }
-
-            if (commands && Array.isArray(commands)) {
-              // Filter out script-like content from drawTextBlob
-              const filtered = commands.filter(cmd => {
-                if (cmd.method === 'drawTextBlob' && cmd.params?.text) {
-                  const text = cmd.params.text
-                  // Skip if it looks like script content
-                  if (text.includes('const ') ||
-                      text.includes('let ') ||
-                      text.includes('var ') ||
-                      text.includes('function') ||
-                      text.includes('document.') ||
-                      text.includes('window.') ||
-                      text.includes('=>') ||
-                      text.length > 500) {
-                    return false
-                  }
-                }
-                return true
-              })
-              allCommands.push(...filtered)
-            }
-          }
-
-          await client.send('LayerTree.releaseSnapshot', { snapshotId })
-        } catch (e) {
-          console.log(`Layer ${layer.layerId}: Could not snapshot (${e.message})`)
-        }
-      }
+      // Sample layers and text until consecutive captures agree. A page that never
+      // settles throws instead of being stored as a partial baseline.
+      let recorder = null
+      const { result: sample, stability } = await captureStable(async (attempt) => {
+        const detectedLayers = await waitForLayerTree(client, page)
+        console.log(`Sample ${attempt}: found ${detectedLayers.length} layers`)
 
-      // Extract VISIBLE text only (excluding scripts)
-      const textCommands = await page.evaluate(() => {
-        const texts = []
-        const walker = document.createTreeWalker(
-          document.documentElement,
-          NodeFilter.SHOW_TEXT,
-          {
-            acceptNode: (node) => {
-              const parent = node.parentElement
-              // Skip script, style, and hidden elements
-              if (parent && (
-                parent.tagName === 'SCRIPT' ||
-                parent.tagName === 'STYLE' ||
-                parent.tagName === 'NOSCRIPT' ||
-                getComputedStyle(parent).display === 'none' ||
-                getComputedStyle(parent).visibility === 'hidden'
-              )) {
-                return NodeFilter.FILTER_REJECT
-              }
-              return node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
-            }
-          },
-          false
-        )
-
-        let node
-        while (node = walker.nextNode()) {
-          const parent = node.parentElement
-          const rect = parent.getBoundingClientRect()
-          // Only include if actually visible on screen
-          if (rect.width > 0 && rect.height > 0) {
-            texts.push({
-              method: 'drawTextBlob',
-              params: {
-                text: node.textContent.trim(),
-                x: Math.round(rect.x),
-                y: Math.round(rect.y + rect.height * 0.8) // Baseline approximation
-              }
-            })
-          }
-        }
-        return texts
-      })
+        // A fresh recorder per sample, so the replays belong to the accepted one
+        recorder = replayEnabled ? this.replayRecorder(client, name, options) : null
 
-      allCommands.push(...textCommands)
-      console.log(`Added ${textCommands.length} text commands from DOM`)
+        // Layers of elements are named after them, so the DOM comes first
+        const domSnapshot = await captureDomSnapshot(client)
 
-      // Process commands
-      const processedCommands = allCommands.map((cmd) => {
-        const processed = {
-          method: cmd.method || cmd.cmd || cmd.name || 'unknown',
-          params: {}
-        }
+        // Extract paint commands per layer, keeping the layer hierarchy
+        const layers = await captureLayerTree(client, detectedLayers, {
+          owners: nodeOwners(domSnapshot),
+          onSnapshot: recorder?.onSnapshot
+        })
 
-        if (cmd.params) {
-          for (const [key, value] of Object.entries(cmd.params)) {
-            processed.params[key] = value
-          }
+        // Text from the layout's text boxes, including shadow DOM and iframes,
+        // with the fonts the renderer actually used
+        const textCommands = await captureTextCommands(client, domSnapshot)
+
+        return {
+          layers,
+          domSnapshot,
+          textCommands,
+          hash: hashLayers(layers, textCommands),
+          empty: detectedLayers.length === 0
         }
+      }, { ...this.options.stability, ...options.stability })
+
+      let layers = sample.layers
+      const { domSnapshot, textCommands } = sample
+      console.log(`Stable after ${stability.attempts} samples (${stability.elapsed} ms)`)
+      console.log(`Added ${textCommands.length} text commands from layout text boxes`)
+
+      let processedTextCommands = textCommands
+
+      // Name the element behind every command while coordinates are still page-level.
+      // Text commands come with their node already.
+      layers = annotateCommands({ layers }, await captureDomNodes(client, domSnapshot)).layers
+
+      // Fingerprint the pixels of images, canvases and video frames the commands draw
+      const images = embedImageHashes({ layers }, await fingerprintImages(client, await collectFrameImageSources(page)))
+      layers = images.layers
+      let imageCommands = images.imageCommands
+
+      // Canonical { method, params } commands, then the configured normalizers
+      const normalized = normalizeSnapshot(
+        { layers, textCommands: processedTextCommands, imageCommands },
+        this.normalizers(options)
+      )
+      layers = normalized.layers
+      processedTextCommands = normalized.textCommands
+      imageCommands = normalized.imageCommands
+
+      // Drop commands for dynamic content, before coordinates become element-local
+      const ignoreRules = this.ignoreRules(options)
+      let ignore = null
+      if (ignoreRules.length > 0) {
+        const { rects } = await page.evaluate(collectElementRects, selectorsOf(ignoreRules))
+        const regions = ignoreRegions(ignoreRules, rects)
+        const filtered = applyIgnoreRules({ layers, textCommands: processedTextCommands }, ignoreRules, regions)
+        const filteredImages = applyIgnoreRules({ layers: [], textCommands: imageCommands }, ignoreRules, regions)
+        layers = filtered.layers
+        processedTextCommands = filtered.textCommands
+        imageCommands = filteredImages.textCommands
+        ignore = { rules: describeIgnoreRules(ignoreRules), regions, dropped: filtered.dropped }
+      }
 
-        return processed
-      })
+      // Keep only what is painted inside the element, in element-local coordinates
+      let scope = null
+      if (options.selector) {
+        const box = await resolveElementBox(client, page, options.selector)
+        const scoped = scopeToBox({ layers, textCommands: processedTextCommands }, box)
+        layers = scoped.layers
+        processedTextCommands = scoped.textCommands
+        imageCommands = scopeCommands(imageCommands, box)
+        scope = { selector: options.selector, box }
+      }
 
       // Generate hash
-      const commandsString = JSON.stringify(processedCommands)
-      const hash = crypto.createHash('sha256').update(commandsString).digest('hex').substring(0, 16)
-      console.log(`Final: Captured ${processedCommands.length} paint commands, hash: ${hash}`)
+      const hash = hashLayers(layers, [...processedTextCommands, ...imageCommands])
+      const commandCount = flattenCommands({ layers, textCommands: processedTextCommands, imageCommands }).length
+      console.log(`Final: Captured ${commandCount} paint commands, hash: ${hash}`)
 
       const data = {
         name,
@@ -248,20 +336,37 @@ export class CompositorService {
         hash,
         mode: 'compositor',
         layerCount: layers.length,
-        commands: processedCommands,
+        scope,
+        pseudoState: options.pseudoState || null,
+        ignore,
+        stability,
+        normalizers: normalized.applied,
+        merkle: buildMerkleTree({ layers, textCommands: processedTextCommands, imageCommands }),
+        layers,
+        textCommands: processedTextCommands,
+        imageCommands,
+        replays: recorder ? recorder.files : null,
         metadata: {
           url: await browser.getUrl(),
           viewport: await browser.getWindowSize(),
-          userAgent: await browser.execute(() => navigator.userAgent)
+          userAgent: await browser.execute(() => navigator.userAgent),
+          determinism: determinismSettings,
+          readiness,
+          emulation: options.emulation || null
         }
       }
 
-      const dir = this.options.updateBaseline ? this.options.baselineDir : this.options.actualDir
-      const filePath = path.join(dir, `${name}.json`)
-      fs.writeFileSync(filePath, JSON.stringify(data, null, 2))
+      // Flaky detection only wants the data
+      if (options.write !== false) {
+        const dir = this.options.updateBaseline ? this.options.baselineDir : this.options.actualDir
+        fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(data, null, 2))
+      }
 
       return data
     } catch (error) {
+      // Never store an unsettled or unready page, not even as an error snapshot
+      if (error.stability || error.readiness) throw error
+
       console.error('Error in captureCompositorData:', error)
 
       const data = {
@@ -269,7 +374,8 @@ export class CompositorService {
         timestamp: new Date().toISOString(),
         hash: 'error-' + Date.now(),
         layerCount: 0,
-        commands: [],
+        layers: [],
+        textCommands: [],
         error: error.message,
         metadata: {
           url: await browser.getUrl(),
@@ -278,43 +384,131 @@ export class CompositorService {
         }
       }
 
-      const dir = this.options.updateBaseline ? this.options.baselineDir : this.options.actualDir
-      const filePath = path.join(dir, `${name}.json`)
-      fs.writeFileSync(filePath, JSON.stringify(data, null, 2))
+      if (options.write !== false) {
+        const dir = this.options.updateBaseline ? this.options.baselineDir : this.options.actualDir
+        fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(data, null, 2))
+      }
 
       return data
+    } finally {
+      // The page is shared with the rest of the test run
+      if (pseudoStateClient) {
+        await clearPseudoState(pseudoStateClient, pseudoStateNodes)
+      }
+      if (emulationClient) {
+        await clearEmulation(emulationClient, options.emulation)
+      }
+      if (determinism) {
+        await determinism.restore()
+      }
     }
   }
 
-  async compareCompositorData (browser, name) {
+  // Captures name several times and quarantines every paint command that differs
+  // between those identical runs, in <baselineDir>/<name>.quarantine.json
+  async detectFlakyCompositor (browser, name, options = {}) {
+    if (options.matrix || options.pseudoStates) {
+      return this.forEachVariant(name, options, (variant, variantOptions) =>
+        this.detectFlakyCompositor(browser, variant, variantOptions)
+      )
+    }
+
+    const { runs = 5, ...captureOptions } = options
+    if (!Number.isInteger(runs) || runs < 2) {
+      throw new Error(`runs has to be a whole number of at least 2, got ${runs}`)
+    }
+
+    const captures = []
+    for (let run = 1; run <= runs; run++) {
+      const capture = await this.captureCompositorData(browser, name, { ...captureOptions, replay: false, write: false })
+      // A failed run says nothing about flakiness, and quarantining around it would hide real changes
+      if (capture.error || flattenCommands(capture).length === 0) {
+        throw new Error(`Flaky detection of ${name} failed in run ${run}/${runs}: ${capture.error || 'no paint commands captured'}; quarantine left as it was`)
+      }
+      captures.push(capture)
+    }
+
+    const rules = findFlakyCommands(captures)
+    const filePath = path.join(this.options.baselineDir, `${name}.quarantine.json`)
+    const hashes = [...new Set(captures.map(capture => capture.hash))]
+
+    if (rules.length === 0) {
+      fs.rmSync(filePath, { force: true })
+      return { path: null, runs, hashes, rules }
+    }
+
+    fs.writeFileSync(filePath, JSON.stringify({ runs, hashes, rules, timestamp: new Date().toISOString() }, null, 2))
+    rules.forEach(rule => console.warn(`${name}: ${describeQuarantineRule(rule)} (${rule.runs}/${runs - 1} runs)`))
+    return { path: filePath, runs, hashes, rules }
+  }
+
+  async compareCompositorData (browser, name, options = {}) {
     const baselinePath = path.join(this.options.baselineDir, `${name}.json`)
 
     // Check if baseline exists
     if (!fs.existsSync(baselinePath)) {
       // Create baseline
-      const data = await this.captureCompositorData(browser, name)
+      const data = await this.captureCompositorData(browser, name, options)
       fs.writeFileSync(baselinePath, JSON.stringify(data, null, 2))
       return {
         status: 'created',
         message: 'Baseline created',
         mode: 'compositor',
+        verdict: 'pass',
         hash: data.hash
       }
     }
 
-    // Capture current state
-    const actualData = await this.captureCompositorData(browser, name)
-
     // Load baseline
-    const baselineData = JSON.parse(fs.readFileSync(baselinePath, 'utf8'))
+    let baselineData = JSON.parse(fs.readFileSync(baselinePath, 'utf8'))
 
-    // Compare hashes
-    const match = baselineData.hash === actualData.hash
+    // Flat command lists from before the layer tree can't be compared with a capture
+    if (!baselineData.layers) {
+      return {
+        status: 'outdated',
+        message: `Baseline ${baselinePath} has no layer tree; re-create baseline (updateBaseline: true, or delete it)`,
+        mode: 'compositor',
+        match: false,
+        verdict: 'fail',
+        baseline: baselineData.hash
+      }
+    }
 
-    // Generate diff if needed
-    let diff = null
-    if (!match) {
-      diff = this.generateDiff(baselineData.commands, actualData.commands)
+    // Capture current state
+    let actualData = await this.captureCompositorData(browser, name, options)
+
+    // Commands detectFlaky() or --detect-flaky saw vary between identical runs don't count
+    const quarantine = loadQuarantine(path.join(this.options.baselineDir, `${name}.quarantine.json`))
+    let suppressed = 0
+    if (quarantine) {
+      baselineData = quarantineSnapshot(baselineData, quarantine.rules).snapshot
+      const result = quarantineSnapshot(actualData, quarantine.rules)
+      actualData = result.snapshot
+      suppressed = result.suppressed.length
+    }
+
+    // Variants also match the policy's scenario rules of the name they were expanded from
+    const { identical, verdict, match, evaluation, ...comparison } = compareSnapshots(baselineData, actualData, {
+      tolerance: this.options.compositorTolerance,
+      shifts: options.shifts ?? this.options.shifts,
+      policy: options.policy ?? this.options.policy,
+      scenarios: [name, options.baseName]
+    })
+    if (comparison.outdated) {
+      return {
+        status: 'outdated',
+        message: `${comparison.outdated} (updateBaseline: true, or delete ${baselinePath})`,
+        mode: 'compositor',
+        match,
+        verdict,
+        baseline: baselineData.hash,
+        actual: actualData.hash
+      }
+    }
+    if (verdict === 'warn') {
+      evaluation.changes
+        .filter(change => change.severity === 'warn')
+        .forEach(({ category, description }) => console.warn(`${name}: [${category}] ${description}`))
     }
 
     return {
@@ -323,7 +517,17 @@ export class CompositorService {
       baseline: baselineData.hash,
       actual: actualData.hash,
       match,
-      diff,
+      identical,
+      verdict,
+      classified: evaluation ? evaluation.changes : [],
+      diff: comparison.diff,
+      textDiff: comparison.textDiff,
+      changes: comparison.changes,
+      layerDiff: comparison.layerDiff,
+      tolerance: comparison.tolerance,
+      shift: comparison.shift,
+      replays: actualData.replays,
+      suppressed,
       layerCount: {
         baseline: baselineData.layerCount,
         actual: actualData.layerCount
@@ -331,8 +535,51 @@ export class CompositorService {
     }
   }
 
-  async capturePixelData (browser, name) {
-    const screenshot = await browser.takeScreenshot()
+  async capturePixelData (browser, name, options = {}) {
+    let client = null
+    if (options.pseudoState || options.emulation || options.wait) {
+      const puppeteer = await browser.getPuppeteer()
+      const [page] = await puppeteer.pages()
+      client = await page.target().createCDPSession()
+
+      // Screenshots need no CDP otherwise, so only an explicit wait is honored here
+      if (options.wait) {
+        await waitUntilReady(page, this.readiness(options))
+      }
+    }
+
+    if (options.emulation) {
+      await applyEmulation(client, options.emulation)
+    }
+
+    let pseudoStateNodes = []
+    let screenshot
+    try {
+      if (options.pseudoState) {
+        pseudoStateNodes = await forcePseudoState(client, options.pseudoState.selector, options.pseudoState.state)
+      }
+
+      if (options.selector) {
+        const element = await browser.$(options.selector)
+        screenshot = await browser.takeElementScreenshot(element.elementId)
+      } else {
+        screenshot = await browser.takeScreenshot()
+      }
+
+      // Only region rules (selector, rect) apply to pixels
+      const ignoreRules = this.ignoreRules(options).filter(rule => rule.selector || rule.rect)
+      if (ignoreRules.length > 0) {
+        screenshot = await this.maskIgnoredRegions(browser, screenshot, ignoreRules, options)
+      }
+    } finally {
+      if (options.pseudoState) {
+        await clearPseudoState(client, pseudoStateNodes)
+      }
+      if (options.emulation) {
+        await clearEmulation(client, options.emulation)
+      }
+    }
+
     const dir = this.options.updateBaseline ? this.options.baselineDir : this.options.actualDir
     const filePath = path.join(dir, `${name}.png`)
 
@@ -345,12 +592,28 @@ export class CompositorService {
     }
   }
 
-  async comparePixelData (browser, name) {
+  // Masks ignored regions in a base64 screenshot of the viewport or of options.selector
+  async maskIgnoredRegions (browser, screenshot, ignoreRules, options) {
+    const PNG = (await import('pngjs')).PNG
+
+    const selectors = [options.selector, ...selectorsOf(ignoreRules)].filter(Boolean)
+    const { rects, scroll, devicePixelRatio } = await browser.execute(collectElementRects, selectors)
+    const origin = options.selector ? { x: rects[0][0].left, y: rects[0][0].top } : scroll
+    const regions = ignoreRegions(ignoreRules, options.selector ? rects.slice(1) : rects)
+
+    const image = maskRegions(PNG.sync.read(Buffer.from(screenshot, 'base64')), regions, {
+      origin,
+      scale: devicePixelRatio
+    })
+    return PNG.sync.write(image).toString('base64')
+  }
+
+  async comparePixelData (browser, name, options = {}) {
     const baselinePath = path.join(this.options.baselineDir, `${name}.png`)
     const actualPath = path.join(this.options.actualDir, `${name}.png`)
 
     if (!fs.existsSync(baselinePath)) {
-      const data = await this.capturePixelData(browser, name)
+      const data = await this.capturePixelData(browser, name, options)
       fs.copyFileSync(data.path, baselinePath)
       return {
         status: 'created',
@@ -359,7 +622,7 @@ export class CompositorService {
       }
     }
 
-    await this.capturePixelData(browser, name)
+    await this.capturePixelData(browser, name, options)
 
     // Use pixelmatch for comparison
     const PNG = (await import('pngjs')).PNG
@@ -397,33 +660,236 @@ export class CompositorService {
     }
   }
 
-  generateDiff (baselineCommands, actualCommands) {
-    const diff = {
-      added: [],
-      removed: [],
-      modified: []
-    }
-
-    const maxLen = Math.max(baselineCommands.length, actualCommands.length)
-
-    for (let i = 0; i < maxLen; i++) {
-      const baseline = baselineCommands[i]
-      const actual = actualCommands[i]
-
-      if (!baseline) {
-        diff.added.push({ index: i, command: actual })
-      } else if (!actual) {
-        diff.removed.push({ index: i, command: baseline })
-      } else if (JSON.stringify(baseline) !== JSON.stringify(actual)) {
-        diff.modified.push({
-          index: i,
-          baseline,
-          actual
-        })
+  // Element boxes and computed styles from DOMSnapshot, no paint commands involved
+  async captureLayoutData (browser, name, options = {}) {
+    const puppeteer = await browser.getPuppeteer()
+    const [page] = await puppeteer.pages()
+    const client = await page.target().createCDPSession()
+
+    await waitUntilReady(page, this.readiness(options))
+
+    if (options.emulation) {
+      await applyEmulation(client, options.emulation)
+    }
+
+    let pseudoStateNodes = []
+    try {
+      if (options.pseudoState) {
+        pseudoStateNodes = await forcePseudoState(client, options.pseudoState.selector, options.pseudoState.state)
+      }
+
+      const styles = options.layoutStyles || this.options.layoutStyles
+      let nodes = await captureLayout(client, { styles })
+
+      // Only region rules (selector, rect) apply to layout
+      const ignoreRules = this.ignoreRules(options).filter(rule => rule.selector || rule.rect)
+      let ignore = null
+      if (ignoreRules.length > 0) {
+        const { rects } = await page.evaluate(collectElementRects, selectorsOf(ignoreRules))
+        const regions = ignoreRegions(ignoreRules, rects)
+        const count = nodes.length
+        nodes = ignoreLayoutRegions(nodes, regions)
+        ignore = { rules: describeIgnoreRules(ignoreRules), regions, dropped: count - nodes.length }
+      }
+
+      let scope = null
+      if (options.selector) {
+        const box = await resolveElementBox(client, page, options.selector)
+        nodes = scopeLayout(nodes, box)
+        scope = { selector: options.selector, box }
+      }
+
+      const data = {
+        name,
+        timestamp: new Date().toISOString(),
+        hash: hashLayout(nodes),
+        mode: 'layout',
+        nodeCount: nodes.length,
+        scope,
+        pseudoState: options.pseudoState || null,
+        ignore,
+        styles,
+        nodes,
+        metadata: {
+          url: await browser.getUrl(),
+          viewport: await browser.getWindowSize(),
+          userAgent: await browser.execute(() => navigator.userAgent),
+          emulation: options.emulation || null
+        }
+      }
+
+      const dir = this.options.updateBaseline ? this.options.baselineDir : this.options.actualDir
+      fs.writeFileSync(path.join(dir, `${name}.layout.json`), JSON.stringify(data, null, 2))
+
+      return data
+    } finally {
+      if (options.pseudoState) {
+        await clearPseudoState(client, pseudoStateNodes)
+      }
+      if (options.emulation) {
+        await clearEmulation(client, options.emulation)
+      }
+    }
+  }
+
+  async compareLayoutData (browser, name, options = {}) {
+    const baselinePath = path.join(this.options.baselineDir, `${name}.layout.json`)
+
+    if (!fs.existsSync(baselinePath)) {
+      const data = await this.captureLayoutData(browser, name, options)
+      fs.writeFileSync(baselinePath, JSON.stringify(data, null, 2))
+      return {
+        status: 'created',
+        message: 'Baseline created',
+        mode: 'layout',
+        hash: data.hash
+      }
+    }
+
+    const actualData = await this.captureLayoutData(browser, name, options)
+    const baselineData = JSON.parse(fs.readFileSync(baselinePath, 'utf8'))
+
+    const identical = baselineData.hash === actualData.hash
+    const diff = identical
+      ? null
+      : diffLayout(baselineData.nodes, actualData.nodes, { epsilon: this.options.layoutTolerance })
+    const match = identical || (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0)
+
+    return {
+      status: match ? 'match' : 'mismatch',
+      mode: 'layout',
+      baseline: baselineData.hash,
+      actual: actualData.hash,
+      match,
+      identical,
+      diff,
+      nodeCount: {
+        baseline: baselineData.nodeCount,
+        actual: actualData.nodeCount
+      }
+    }
+  }
+
+  // Roles, names, values and states from the accessibility tree
+  async captureAccessibilityData (browser, name, options = {}) {
+    const puppeteer = await browser.getPuppeteer()
+    const [page] = await puppeteer.pages()
+    const client = await page.target().createCDPSession()
+
+    await waitUntilReady(page, this.readiness(options))
+
+    if (options.emulation) {
+      await applyEmulation(client, options.emulation)
+    }
+
+    let pseudoStateNodes = []
+    try {
+      if (options.pseudoState) {
+        pseudoStateNodes = await forcePseudoState(client, options.pseudoState.selector, options.pseudoState.state)
+      }
+
+      const nodes = await captureAccessibilityTree(client, { selector: options.selector })
+
+      const data = {
+        name,
+        timestamp: new Date().toISOString(),
+        hash: hashAccessibilityTree(nodes),
+        mode: 'accessibility',
+        nodeCount: nodes.length,
+        scope: options.selector ? { selector: options.selector } : null,
+        pseudoState: options.pseudoState || null,
+        nodes,
+        metadata: {
+          url: await browser.getUrl(),
+          viewport: await browser.getWindowSize(),
+          userAgent: await browser.execute(() => navigator.userAgent),
+          emulation: options.emulation || null
+        }
+      }
+
+      const dir = this.options.updateBaseline ? this.options.baselineDir : this.options.actualDir
+      fs.writeFileSync(path.join(dir, `${name}.ax.json`), JSON.stringify(data, null, 2))
+
+      return data
+    } finally {
+      if (options.pseudoState) {
+        await clearPseudoState(client, pseudoStateNodes)
+      }
+      if (options.emulation) {
+        await clearEmulation(client, options.emulation)
+      }
+    }
+  }
+
+  async compareAccessibilityData (browser, name, options = {}) {
+    const baselinePath = path.join(this.options.baselineDir, `${name}.ax.json`)
+
+    if (!fs.existsSync(baselinePath)) {
+      const data = await this.captureAccessibilityData(browser, name, options)
+      fs.writeFileSync(baselinePath, JSON.stringify(data, null, 2))
+      return {
+        status: 'created',
+        message: 'Baseline created',
+        mode: 'accessibility',
+        hash: data.hash
+      }
+    }
+
+    const actualData = await this.captureAccessibilityData(browser, name, options)
+    const baselineData = JSON.parse(fs.readFileSync(baselinePath, 'utf8'))
+
+    const match = baselineData.hash === actualData.hash
+    const diff = match ? null : diffAccessibilityTree(baselineData.nodes, actualData.nodes)
+
+    return {
+      status: match ? 'match' : 'mismatch',
+      mode: 'accessibility',
+      baseline: baselineData.hash,
+      actual: actualData.hash,
+      match,
+      diff,
+      nodeCount: {
+        baseline: baselineData.nodeCount,
+        actual: actualData.nodeCount
       }
     }
+  }
+
+  // Sequence diff, so one inserted command doesn't mark everything after it as modified
+  generateDiff (baselineCommands, actualCommands) {
+    return diffCommands(baselineCommands, actualCommands)
+  }
+
+  // Baseline captures render every layer. Later captures render the layers that
+  // differ from the baseline, with the differing steps outlined.
+  replayRecorder (client, name, options) {
+    const baselinePath = path.join(this.options.baselineDir, `${name}.json`)
+    const isBaseline = this.options.updateBaseline || !fs.existsSync(baselinePath)
+    const outputDir = path.join(this.options.diffDir, `${name}-replay`, isBaseline ? 'baseline' : 'actual')
+
+    fs.rmSync(outputDir, { recursive: true, force: true })
+
+    // Layers are paired by id and compared by the steps they stored, which scoping,
+    // ignore rules and normalizers leave alone
+    const baselineLayers = isBaseline ? null : JSON.parse(fs.readFileSync(baselinePath, 'utf8')).layers
+
+    return createReplayRecorder(client, { outputDir, baselineLayers, log: console.log })
+  }
+
+  // Object settings extend the waits they override, down to DEFAULT_CONDITIONS;
+  // a list of conditions replaces them
+  readiness (options) {
+    const service = normalizeReadiness(this.options.wait, { conditions: DEFAULT_CONDITIONS })
+    if (!options.wait) return service
+    return normalizeReadiness(options.wait, { conditions: service.conditions, timeout: service.timeout })
+  }
+
+  normalizers (options) {
+    return options.normalize ?? this.options.normalize
+  }
 
-    return diff
+  ignoreRules (options) {
+    return [...this.options.ignore, ...(options.ignore || [])]
   }
 
   ensureDir (dir) {
@@ -1,3 +1,13 @@
+// Logs what the policy flagged and fails the test only on changes it considers failures
+function assertVerdict (result) {
+  result.classified?.filter(change => change.severity !== 'ignore').forEach(change => {
+    console.log(`  ${change.severity === 'fail' ? '❌' : '⚠️ '} [${change.category}] ${change.description}`)
+  })
+  if (result.verdict === 'fail') {
+    throw new Error('Compositor data mismatch')
+  }
+}
+
 describe('Compositor Visual Regression Tests', () => {
   beforeEach(async () => {
     await browser.url(`file://${process.cwd()}/fixtures/test.html`)
@@ -8,18 +18,32 @@ describe('Compositor Visual Regression Tests', () => {
 
     if (result.status === 'created') {
       console.log('✅ Baseline created:', result.hash)
-    } else if (result.status === 'match') {
+    } else if (result.status === 'outdated') {
+      console.log(`❌ ${result.message}`)
+      assertVerdict(result)
+    } else if (result.verdict === 'pass') {
       console.log('✅ Visual test PASSED')
       console.log(`  Baseline: ${result.baseline.substring(0, 8)}...`)
       console.log(`  Actual:   ${result.actual.substring(0, 8)}...`)
     } else {
-      console.log('❌ Visual test FAILED')
+      console.log(result.verdict === 'warn' ? '⚠️  Visual test PASSED with warnings' : '❌ Visual test FAILED')
       console.log(`  Baseline: ${result.baseline.substring(0, 8)}...`)
       console.log(`  Actual:   ${result.actual.substring(0, 8)}...`)
-      console.log('  Differences found:', result.diff)
-      throw new Error('Compositor data mismatch')
+      assertVerdict(result)
+    }
+
+    expect(result.verdict).not.toBe('fail')
+  })
+
+  it('should capture and compare compositor data for the header element', async () => {
+    const header = await browser.$('.header')
+    const result = await header.compareCompositor('simple-page-header')
+
+    if (result.verdict !== 'pass') {
+      console.log(result.verdict === 'warn' ? '⚠️  Visual test PASSED with warnings' : '❌ Visual test FAILED')
+      assertVerdict(result)
     }
 
-    expect(result.match || result.status === 'created').toBe(true)
+    expect(result.verdict).not.toBe('fail')
   })
 })
@@ -0,0 +1,68 @@
+import { captureAccessibilityTree, hashAccessibilityTree, diffAccessibilityTree } from '../../lib/core/accessibility.js'
+
+const value = value => ({ type: 'string', value })
+
+// A page with a nav list of two links, wrapped in an unnamed generic node
+const axNodes = [
+  { nodeId: '1', role: value('RootWebArea'), name: value('Home'), childIds: ['2'] },
+  { nodeId: '2', role: value('generic'), childIds: ['3', '7'] },
+  { nodeId: '3', role: value('navigation'), childIds: ['4', '5'], backendDOMNodeId: 30 },
+  { nodeId: '4', role: value('link'), name: value('About'), properties: [{ name: 'focusable', value: { type: 'boolean', value: true } }] },
+  { nodeId: '5', role: value('link'), name: value('Blog'), childIds: ['6'] },
+  { nodeId: '6', role: value('StaticText'), name: value('Blog'), ignored: true },
+  { nodeId: '7', role: value('textbox'), name: value('Search'), value: value('') }
+]
+
+// Serves the tree and resolves every selector to the navigation element
+const client = {
+  send: async (method) => {
+    if (method === 'Accessibility.getFullAXTree') return { nodes: axNodes }
+    if (method === 'DOM.getDocument') return { root: { nodeId: 1 } }
+    if (method === 'DOM.querySelector') return { nodeId: 3 }
+    if (method === 'DOM.describeNode') return { node: { backendNodeId: 30 } }
+    return {}
+  }
+}
+
+const node = (key, name, states = {}) => ({ key, role: key.split(' > ').pop().replace(/ \(\d+\)$/, ''), name, states })
+
+describe('captureAccessibilityTree', () => {
+  it('lists the kept nodes keyed by their role path', async () => {
+    const nodes = await captureAccessibilityTree(client)
+    expect(nodes.map(({ key }) => key)).toEqual([
+      'RootWebArea',
+      'RootWebArea > navigation',
+      'RootWebArea > navigation > link',
+      'RootWebArea > navigation > link (2)',
+      'RootWebArea > textbox'
+    ])
+    expect(nodes[2]).toEqual({ key: 'RootWebArea > navigation > link', role: 'link', name: 'About', states: { focusable: true } })
+    expect(nodes[4]).toMatchObject({ name: 'Search', value: '' })
+  })
+
+  it('starts at the element matching selector', async () => {
+    const nodes = await captureAccessibilityTree(client, { selector: 'nav' })
+    expect(nodes.map(({ key }) => key)).toEqual(['navigation', 'navigation > link', 'navigation > link (2)'])
+  })
+})
+
+describe('hashAccessibilityTree', () => {
+  it('changes with a name', () => {
+    expect(hashAccessibilityTree([node('link', 'About')])).not.toBe(hashAccessibilityTree([node('link', 'Info')]))
+  })
+})
+
+describe('diffAccessibilityTree', () => {
+  it('reports nodes added, removed and changed names and states', () => {
+    const baseline = [node('main > link', 'About', { focusable: true }), node('main > button', 'Menu')]
+    const actual = [node('main > link', 'Info', {}), node('main > heading', 'Blog')]
+    const diff = diffAccessibilityTree(baseline, actual)
+
+    expect(diff.added.map(change => change.description)).toEqual(['main > heading "Blog": added'])
+    expect(diff.removed.map(change => change.description)).toEqual(['main > button "Menu": removed'])
+    expect(diff.changed.map(change => change.description)).toEqual([
+      'main > link "About": name "About" → "Info"',
+      'main > link "About": focusable true → unset'
+    ])
+  })
+})
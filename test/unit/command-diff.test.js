@@ -0,0 +1,60 @@
+import { diffCommands, blockDepths, myers } from '../../lib/core/command-diff.js'
+
+const rect = (left, color = '#FF000000') => ({
+  method: 'drawRect',
+  params: { rect: { left, top: 0, right: left + 10, bottom: 10 }, paint: { color } }
+})
+
+describe('blockDepths', () => {
+  it('gives a restore the depth of the save it closes', () => {
+    const commands = [{ method: 'save' }, rect(0), { method: 'save' }, rect(1), { method: 'restore' }, { method: 'restore' }]
+    expect(blockDepths(commands)).toEqual([0, 1, 1, 2, 1, 0])
+  })
+})
+
+describe('myers', () => {
+  it('returns the edit script between two sequences', () => {
+    expect(myers(['a', 'b', 'c'], ['a', 'x', 'c'], 10)).toEqual([
+      ['equal', 0, 0],
+      ['delete', 1, 1],
+      ['insert', 2, 1],
+      ['equal', 2, 2]
+    ])
+  })
+
+  it('gives up past maxEdits', () => {
+    expect(myers([1, 2, 3], [4, 5, 6], 2)).toBeNull()
+  })
+})
+
+describe('diffCommands', () => {
+  it('reports nothing for identical commands', () => {
+    const diff = diffCommands([rect(0), rect(20)], [rect(0), rect(20)])
+    expect(diff).toMatchObject({ added: [], removed: [], modified: [], unchanged: 2, exact: true })
+  })
+
+  it('keeps the commands after an insertion unchanged', () => {
+    const diff = diffCommands([rect(0), rect(20), rect(40)], [rect(0), { method: 'clipRect', params: {} }, rect(20), rect(40)])
+    expect(diff.added).toEqual([{ index: 1, command: { method: 'clipRect', params: {} } }])
+    expect(diff.removed).toEqual([])
+    expect(diff.modified).toEqual([])
+    expect(diff.unchanged).toBe(3)
+  })
+
+  it('pairs a removed and an inserted command of the same method into a modification', () => {
+    const diff = diffCommands([rect(0), rect(20)], [rect(0), rect(20, '#FFFF0000')])
+    expect(diff.modified).toHaveLength(1)
+    expect(diff.modified[0]).toMatchObject({ baselineIndex: 1, actualIndex: 1, method: 'drawRect', categories: ['color'] })
+  })
+
+  it('ignores node annotations', () => {
+    const diff = diffCommands([{ ...rect(0), node: 'div.a' }], [{ ...rect(0), node: 'div.b' }])
+    expect(diff.unchanged).toBe(1)
+  })
+
+  it('falls back to comparing by index past maxEdits', () => {
+    const diff = diffCommands([rect(0), rect(1)], [rect(2), rect(3)], { maxEdits: 1 })
+    expect(diff.exact).toBe(false)
+    expect(diff.modified.map(entry => entry.actualIndex)).toEqual([0, 1])
+  })
+})
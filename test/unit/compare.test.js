@@ -0,0 +1,55 @@
+import { compareSnapshots } from '../../lib/core/compare.js'
+import { describeLayers, hashLayers } from '../../lib/core/layer-tree.js'
+
+const rect = (color, left = 0) => ({
+  method: 'drawRect',
+  params: { rect: { left, top: 0, right: left + 10, bottom: 10 }, paint: { color } },
+  node: 'div.card'
+})
+
+function snapshot (commands) {
+  const [layer] = describeLayers([{ layerId: '1', offsetX: 0, offsetY: 0, width: 100, height: 50, drawsContent: true }])
+  const layers = [{ ...layer, commands }]
+  return { hash: hashLayers(layers), layers }
+}
+
+describe('compareSnapshots', () => {
+  it('passes identical snapshots without diffing them', () => {
+    const result = compareSnapshots(snapshot([rect('#FF000000')]), snapshot([rect('#FF000000')]))
+    expect(result).toMatchObject({ identical: true, verdict: 'pass', match: true, diff: null })
+  })
+
+  it('fails a change the policy doesn\'t allow', () => {
+    const result = compareSnapshots(snapshot([rect('#FF000000')]), snapshot([rect('#FFFF0000')]))
+    expect(result).toMatchObject({ identical: false, verdict: 'fail', match: false })
+    expect(result.evaluation.changes.map(change => change.category)).toEqual(['color'])
+  })
+
+  it('matches scenario rules on any of the names, like the base name of a variant', () => {
+    const policy = { rules: [{ scenario: 'home', category: 'color', severity: 'warn' }] }
+    const baseline = snapshot([rect('#FF000000')])
+    const actual = snapshot([rect('#FFFF0000')])
+    expect(compareSnapshots(baseline, actual, { policy, scenarios: ['home@scheme-dark'] }).verdict).toBe('fail')
+    expect(compareSnapshots(baseline, actual, { policy, scenarios: ['home@scheme-dark', 'home'] }).verdict).toBe('warn')
+  })
+
+  it('passes differences within tolerance', () => {
+    const result = compareSnapshots(snapshot([rect('#FF000000')]), snapshot([rect('#FF010000')]), {
+      tolerance: { colorThreshold: 0.01 }
+    })
+    expect(result).toMatchObject({ verdict: 'pass', match: true, tolerance: { match: true } })
+  })
+
+  it('rejects unknown shift policies', () => {
+    const same = snapshot([rect('#FF000000')])
+    expect(() => compareSnapshots(same, same, { shifts: 'maybe' })).toThrow('Unknown shift policy "maybe"')
+  })
+
+  it('fails a baseline normalized differently as outdated', () => {
+    const baseline = { ...snapshot([rect('#FF000000')]), normalizers: ['canonical'] }
+    const actual = { ...snapshot([rect('#FF000000')]), normalizers: ['canonical', 'noops'] }
+    const result = compareSnapshots(baseline, actual)
+    expect(result).toMatchObject({ verdict: 'fail', match: false, diff: null })
+    expect(result.outdated).toMatch('[canonical,noops]')
+  })
+})
@@ -0,0 +1,46 @@
+import { EventEmitter } from 'events'
+import { prepareDeterminism, resolveDeterminism } from '../../lib/core/determinism.js'
+
+// Records what is sent over CDP
+function fakePage () {
+  const client = new EventEmitter()
+  client.sent = []
+  client.send = async (method, params) => {
+    client.sent.push([method, params])
+    return method === 'Page.addScriptToEvaluateOnNewDocument' ? { identifier: '7' } : {}
+  }
+  client.detach = async () => { client.detached = true }
+  return { client, target: () => ({ createCDPSession: async () => client }), evaluate: async () => {} }
+}
+
+describe('resolveDeterminism', () => {
+  it('fills in the defaults', () => {
+    expect(resolveDeterminism(null)).toBeNull()
+    expect(resolveDeterminism(true)).toMatchObject({ animations: 'pause', animationTime: 0, now: null })
+    expect(resolveDeterminism({ randomSeed: 42 })).toMatchObject({ animations: 'pause', randomSeed: 42 })
+  })
+})
+
+describe('prepareDeterminism', () => {
+  it('seeks only animations that are still there', async () => {
+    const page = fakePage()
+    const determinism = await prepareDeterminism(page, true)
+    page.client.emit('Animation.animationStarted', { animation: { id: 'a' } })
+    page.client.emit('Animation.animationStarted', { animation: { id: 'b' } })
+    page.client.emit('Animation.animationCanceled', { id: 'a' })
+    await determinism.settle()
+
+    expect(page.client.sent).toContainEqual(['Animation.setPaused', { animations: ['b'], paused: true }])
+  })
+
+  it('restores the page it froze', async () => {
+    const page = fakePage()
+    const determinism = await prepareDeterminism(page, { now: 0 })
+    await determinism.settle()
+    await determinism.restore()
+
+    expect(page.client.sent).toContainEqual(['Page.removeScriptToEvaluateOnNewDocument', { identifier: '7' }])
+    expect(page.client.sent[page.client.sent.length - 1]).toEqual(['Animation.setPlaybackRate', { playbackRate: 1 }])
+    expect(page.client.detached).toBe(true)
+  })
+})
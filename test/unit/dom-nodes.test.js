@@ -0,0 +1,87 @@
+import { captureDomNodes, nodeOwners, annotateCommands, nodeMatches, commandsForSelector } from '../../lib/core/dom-nodes.js'
+
+// DOMSnapshot document from [name, parentIndex, attributes, bounds] rows,
+// every element laid out
+function snapshotOf (rows) {
+  const strings = []
+  const str = value => {
+    if (!strings.includes(value)) strings.push(value)
+    return strings.indexOf(value)
+  }
+  const document = {
+    nodes: {
+      nodeType: rows.map(() => 1),
+      nodeName: rows.map(([name]) => str(name)),
+      parentIndex: rows.map(([, parent]) => parent),
+      attributes: rows.map(([, , attributes = {}]) => Object.entries(attributes).flatMap(([name, value]) => [str(name), str(value)])),
+      backendNodeId: rows.map((row, i) => 100 + i)
+    },
+    layout: {
+      nodeIndex: rows.map((row, i) => i),
+      bounds: rows.map(([, , , bounds]) => bounds),
+      paintOrders: rows.map((row, i) => i)
+    },
+    textBoxes: { layoutIndex: [], bounds: [] }
+  }
+  return { documents: [document], strings }
+}
+
+const page = snapshotOf([
+  ['HTML', -1, {}, [0, 0, 800, 600]],
+  ['BODY', 0, {}, [0, 0, 800, 600]],
+  ['NAV', 1, { class: 'top bar' }, [0, 0, 800, 50]],
+  ['A', 2, { class: 'active' }, [10, 10, 100, 30]],
+  ['DIV', 1, { id: 'main' }, [0, 50, 800, 550]],
+  ['P', 4, {}, [20, 70, 300, 40]]
+])
+
+describe('nodeOwners', () => {
+  it('names elements by a short path below body or the closest id', () => {
+    expect([...nodeOwners(page).values()]).toEqual(['html', 'body', 'nav.top.bar', 'nav.top.bar > a.active', 'div#main', 'div#main > p'])
+  })
+})
+
+describe('annotateCommands', () => {
+  it('names the element whose box a draw covers, in page coordinates', async () => {
+    const domNodes = await captureDomNodes(null, page)
+    const layers = [{
+      id: '0',
+      bounds: { x: 0, y: 50 },
+      commands: [
+        { method: 'drawRect', params: { rect: { left: 20, top: 20, right: 320, bottom: 60 } } },
+        { method: 'save', params: {} }
+      ]
+    }]
+    const { layers: [layer], annotated } = annotateCommands({ layers }, domNodes)
+
+    expect(annotated).toBe(1)
+    expect(layer.commands.map(cmd => cmd.node)).toEqual(['div#main > p', undefined])
+  })
+})
+
+describe('nodeMatches', () => {
+  it('matches tags, ids, classes and combinators against the stored path', () => {
+    expect(nodeMatches('nav.top.bar > a.active', 'a')).toBe(true)
+    expect(nodeMatches('nav.top.bar > a.active', 'nav > .active')).toBe(true)
+    expect(nodeMatches('nav.top.bar > a.active', '.bar a')).toBe(true)
+    expect(nodeMatches('nav.top.bar > a.active', 'div a')).toBe(false)
+    expect(nodeMatches('nav.top.bar', 'a')).toBe(false)
+    expect(nodeMatches('p::before', 'p')).toBe(false)
+    expect(nodeMatches(null, 'p')).toBe(false)
+  })
+
+  it('rejects selectors it can\'t evaluate', () => {
+    expect(() => nodeMatches('p', 'p[title]')).toThrow('Unsupported selector part "p[title]"')
+  })
+})
+
+describe('commandsForSelector', () => {
+  it('collects layer and text commands of matching elements', () => {
+    const snapshot = {
+      layers: [{ commands: [{ method: 'drawRect', node: 'div#main' }, { method: 'drawRect', node: 'nav' }] }],
+      textCommands: [{ method: 'drawTextBlob', node: 'div#main > p' }]
+    }
+    expect(commandsForSelector(snapshot, '#main').map(cmd => cmd.node)).toEqual(['div#main'])
+    expect(commandsForSelector(snapshot, '#main p').map(cmd => cmd.node)).toEqual(['div#main > p'])
+  })
+})
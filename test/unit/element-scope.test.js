@@ -0,0 +1,60 @@
+import { scopeCommands, scopeToBox } from '../../lib/core/element-scope.js'
+
+const rect = (left, top, right, bottom) => ({ method: 'drawRect', params: { rect: { left, top, right, bottom } } })
+const paint = { method: 'drawPaint', params: { paint: { color: '#FFFFFFFF' } } }
+
+describe('scopeCommands', () => {
+  it('keeps what intersects the box, relative to its corner', () => {
+    const box = { left: 100, top: 100, right: 200, bottom: 200 }
+    const commands = [
+      { method: 'save' },
+      { method: 'translate', params: { dx: 100, dy: 100 } },
+      rect(10, 10, 20, 20),
+      { method: 'restore' },
+      rect(0, 0, 10, 10)
+    ]
+    expect(scopeCommands(commands, box)).toEqual([{ method: 'save' }, rect(10, 10, 20, 20), { method: 'restore' }])
+  })
+
+  it('keeps draws without bounds', () => {
+    expect(scopeCommands([paint, rect(500, 500, 510, 510)], { left: 0, top: 0, right: 10, bottom: 10 })).toEqual([paint])
+  })
+})
+
+describe('scopeToBox', () => {
+  it('drops layers outside the box, with their unbounded draws', () => {
+    const layers = [
+      { id: '0', parentId: null, bounds: { x: 0, y: 0, width: 100, height: 100 }, commands: [paint] },
+      { id: 'aside', parentId: '0', bounds: { x: 500, y: 0, width: 100, height: 100 }, commands: [paint] }
+    ]
+    const scoped = scopeToBox({ layers }, { left: 10, top: 10, right: 50, bottom: 50 })
+    expect(scoped.layers.map(layer => [layer.id, layer.bounds.x, layer.commands])).toEqual([['0', -10, [paint]]])
+  })
+
+  it('moves only the layer bounds into box space, once', () => {
+    const layers = [
+      { id: '0', parentId: null, bounds: { x: 0, y: 0, width: 300, height: 300 }, commands: [rect(60, 60, 70, 70)] },
+      { id: 'card', parentId: '0', bounds: { x: 100, y: 100, width: 50, height: 50 }, commands: [rect(5, 5, 15, 15)] },
+      { id: 'badge', parentId: 'card', bounds: { x: 10, y: 10, width: 20, height: 20 }, commands: [rect(0, 0, 5, 5)] },
+      { id: 'aside', parentId: '0', bounds: { x: 500, y: 500, width: 10, height: 10 }, commands: [] }
+    ]
+    const textCommands = [{ method: 'drawTextBlob', params: { text: 'a', rect: { left: 60, top: 60, right: 70, bottom: 70 } } }]
+    const scoped = scopeToBox({ layers, textCommands }, { left: 50, top: 50, right: 250, bottom: 250 })
+
+    expect(scoped.layers.map(layer => [layer.id, layer.bounds.x, layer.bounds.y, layer.commands])).toEqual([
+      ['0', -50, -50, [rect(60, 60, 70, 70)]],
+      ['card', 100, 100, [rect(5, 5, 15, 15)]],
+      ['badge', 10, 10, [rect(0, 0, 5, 5)]]
+    ])
+    expect(scoped.textCommands[0].params.rect).toEqual({ left: 10, top: 10, right: 20, bottom: 20 })
+  })
+
+  it('places layers whose parent was dropped relative to the box', () => {
+    const layers = [
+      { id: '0', parentId: null, bounds: { x: 0, y: 0, width: 40, height: 40 }, commands: [] },
+      { id: 'popup', parentId: '0', bounds: { x: 100, y: 80, width: 50, height: 50 }, commands: [rect(5, 5, 15, 15)] }
+    ]
+    const scoped = scopeToBox({ layers }, { left: 90, top: 70, right: 200, bottom: 200 })
+    expect(scoped.layers.map(layer => [layer.id, layer.bounds.x, layer.bounds.y, layer.commands])).toEqual([['popup', 10, 10, [rect(5, 5, 15, 15)]]])
+  })
+})
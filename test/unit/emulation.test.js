@@ -0,0 +1,53 @@
+import { expandMatrix, combinationName, applyEmulation, clearEmulation } from '../../lib/core/emulation.js'
+
+// Records what is sent over CDP
+function fakeClient () {
+  const sent = []
+  return { sent, send: async (method, params) => { sent.push([method, params]) } }
+}
+
+describe('expandMatrix', () => {
+  it('combines every dimension and names the combinations', () => {
+    const combinations = expandMatrix({
+      colorScheme: ['light', 'dark'],
+      viewports: [{ width: 375, height: 667, deviceScaleFactor: 2 }, { width: 1280, height: 800 }]
+    })
+    expect(combinations.map(combination => combination.suffix)).toEqual([
+      'scheme-light_375x667-2x',
+      'scheme-light_1280x800',
+      'scheme-dark_375x667-2x',
+      'scheme-dark_1280x800'
+    ])
+    expect(combinations[0]).toEqual({
+      colorScheme: 'light',
+      viewport: { width: 375, height: 667, deviceScaleFactor: 2 },
+      suffix: 'scheme-light_375x667-2x'
+    })
+  })
+
+  it('rejects a matrix without dimensions', () => {
+    expect(() => expandMatrix({ colorScheme: [] })).toThrow('Emulation matrix has no dimensions')
+  })
+})
+
+describe('combinationName', () => {
+  it('appends the suffix to the scenario name', () => {
+    expect(combinationName('home', { suffix: 'media-print' })).toBe('home@media-print')
+  })
+})
+
+describe('applyEmulation', () => {
+  it('emulates the media features and viewport and clears them again', async () => {
+    const client = fakeClient()
+    const [combination] = expandMatrix({ reducedMotion: ['reduce'], viewports: [{ width: 375, height: 667 }] })
+    await applyEmulation(client, combination)
+    await clearEmulation(client, combination)
+
+    expect(client.sent).toEqual([
+      ['Emulation.setEmulatedMedia', { media: '', features: [{ name: 'prefers-reduced-motion', value: 'reduce' }] }],
+      ['Emulation.setDeviceMetricsOverride', { width: 375, height: 667, deviceScaleFactor: 1, mobile: false }],
+      ['Emulation.setEmulatedMedia', { media: '', features: [] }],
+      ['Emulation.clearDeviceMetricsOverride', undefined]
+    ])
+  })
+})
@@ -0,0 +1,55 @@
+import { commandBounds, offsetCommand, intersects, contains, walkCommands, pruneEmptyBlocks } from '../../lib/core/geometry.js'
+
+const box = (left, top, right, bottom) => ({ left, top, right, bottom })
+
+describe('commandBounds', () => {
+  it('reads rects, the outer rrect of drawDRRect, path bounds and text origins', () => {
+    expect(commandBounds({ method: 'drawRect', params: { rect: box(1, 2, 3, 4) } })).toEqual(box(1, 2, 3, 4))
+    expect(commandBounds({ method: 'drawDRRect', params: { outer: box(0, 0, 10, 10), inner: box(2, 2, 8, 8) } })).toEqual(box(0, 0, 10, 10))
+    expect(commandBounds({ method: 'drawPath', params: { path: { bounds: box(5, 5, 9, 9), pointsAndVerbs: [] } } })).toEqual(box(5, 5, 9, 9))
+    expect(commandBounds({ method: 'drawTextBlob', params: { x: 3, y: 7 } })).toEqual(box(3, 7, 3, 7))
+    expect(commandBounds({ method: 'drawPaint', params: { paint: {} } })).toBeNull()
+  })
+})
+
+describe('offsetCommand', () => {
+  it('moves every coordinate, path points included', () => {
+    const drrect = offsetCommand({ method: 'drawDRRect', params: { outer: box(0, 0, 10, 10), inner: box(2, 2, 8, 8) } }, 5, 1)
+    expect(drrect.params).toEqual({ outer: box(5, 1, 15, 11), inner: box(7, 3, 13, 9) })
+
+    const path = offsetCommand({
+      method: 'drawPath',
+      params: { path: { bounds: box(0, 0, 4, 4), pointsAndVerbs: [{ verb: 'move', points: [{ x: 0, y: 4 }] }, { verb: 'close' }] } }
+    }, 10, 0)
+    expect(path.params.path).toEqual({ bounds: box(10, 0, 14, 4), pointsAndVerbs: [{ verb: 'move', points: [{ x: 10, y: 4 }] }, { verb: 'close' }] })
+  })
+})
+
+describe('intersects and contains', () => {
+  it('count touching edges as intersecting', () => {
+    expect(intersects(box(0, 0, 10, 10), box(10, 10, 20, 20))).toBe(true)
+    expect(contains(box(0, 0, 10, 10), box(2, 2, 8, 8))).toBe(true)
+    expect(contains(box(0, 0, 10, 10), box(2, 2, 12, 8))).toBe(false)
+  })
+})
+
+describe('walkCommands', () => {
+  it('tracks translations through save/restore blocks', () => {
+    const offsets = []
+    walkCommands([
+      { method: 'save' },
+      { method: 'translate', params: { dx: 5, dy: 1 } },
+      { method: 'drawRect' },
+      { method: 'restore' },
+      { method: 'drawRect' }
+    ], (cmd, offset) => cmd.method === 'drawRect' && offsets.push(offset))
+    expect(offsets).toEqual([{ dx: 5, dy: 1 }, { dx: 0, dy: 0 }])
+  })
+})
+
+describe('pruneEmptyBlocks', () => {
+  it('drops blocks without draws', () => {
+    const commands = [{ method: 'save' }, { method: 'clipRect' }, { method: 'restore' }, { method: 'drawRect' }]
+    expect(pruneEmptyBlocks(commands)).toEqual([{ method: 'drawRect' }])
+  })
+})
@@ -0,0 +1,84 @@
+import {
+  SCRIPT_TEXT_RULE,
+  selectorsOf,
+  ignoreRegions,
+  matchesCommand,
+  applyIgnoreRules,
+  describeIgnoreRules,
+  maskRegions
+} from '../../lib/core/ignore.js'
+
+const rect = (left, top, right, bottom, color = '#FF000000') => ({
+  method: 'drawRect',
+  params: { rect: { left, top, right, bottom }, paint: { color } }
+})
+
+describe('ignoreRegions', () => {
+  it('collects rect rules and the rects found for selector rules', () => {
+    const rules = [{ selector: '.ad' }, { rect: { left: 0, top: 0, right: 5, bottom: 5 } }]
+    expect(selectorsOf(rules)).toEqual(['.ad'])
+    expect(ignoreRegions(rules, [[{ left: 10, top: 10, right: 20, bottom: 20 }]])).toEqual([
+      { left: 0, top: 0, right: 5, bottom: 5 },
+      { left: 10, top: 10, right: 20, bottom: 20 }
+    ])
+  })
+})
+
+describe('matchesCommand', () => {
+  it('matches method, partial params and text', () => {
+    const text = { method: 'drawTextBlob', params: { text: 'Last updated 5 min ago' } }
+    expect(matchesCommand({ method: 'drawTextBlob', text: '^Last updated' }, text)).toBe(true)
+    expect(matchesCommand({ params: { paint: { color: '#FF000000' } } }, rect(0, 0, 1, 1))).toBe(true)
+    expect(matchesCommand({ params: { paint: { color: '#FFFFFFFF' } } }, rect(0, 0, 1, 1))).toBe(false)
+    expect(matchesCommand(cmd => cmd.method === 'drawRect', rect(0, 0, 1, 1))).toBe(true)
+    expect(matchesCommand({ selector: '.ad' }, rect(0, 0, 1, 1))).toBe(false)
+  })
+
+  it('recognizes script source drawn as text', () => {
+    expect(matchesCommand(SCRIPT_TEXT_RULE, { method: 'drawTextBlob', params: { text: 'const x = 1' } })).toBe(true)
+    expect(matchesCommand(SCRIPT_TEXT_RULE, { method: 'drawTextBlob', params: { text: 'x'.repeat(501) } })).toBe(true)
+    expect(matchesCommand(SCRIPT_TEXT_RULE, { method: 'drawTextBlob', params: { text: 'Dashboard' } })).toBe(false)
+  })
+})
+
+describe('applyIgnoreRules', () => {
+  it('drops commands fully inside a region, relative to their layer, and keeps backgrounds', () => {
+    const layers = [{ id: '0', bounds: { x: 100, y: 0 }, commands: [rect(0, 0, 500, 500), rect(10, 10, 20, 20)] }]
+    const regions = [{ left: 105, top: 5, right: 125, bottom: 25 }]
+    const result = applyIgnoreRules({ layers }, [], regions)
+
+    expect(result.dropped).toBe(1)
+    expect(result.layers[0].commands).toEqual([rect(0, 0, 500, 500)])
+  })
+
+  it('keeps page text the script text rule would match in a layer', () => {
+    const blob = text => ({ method: 'drawTextBlob', params: { text } })
+    const layers = [{ id: '0', bounds: { x: 0, y: 0 }, commands: [blob('function () { document.title = x }')] }]
+    const prose = [blob('Please let us know'), blob('This function works'), blob('Long read '.repeat(60))]
+    const result = applyIgnoreRules({ layers, textCommands: prose }, [SCRIPT_TEXT_RULE], [])
+
+    expect(result.dropped).toBe(1)
+    expect(result.layers[0].commands).toEqual([])
+    expect(result.textCommands).toEqual(prose)
+  })
+
+  it('prunes save/restore blocks left empty', () => {
+    const layers = [{ id: '0', bounds: { x: 0, y: 0 }, commands: [{ method: 'save' }, rect(0, 0, 1, 1, '#FFFF0000'), { method: 'restore' }] }]
+    const result = applyIgnoreRules({ layers }, [{ method: 'drawRect' }], [])
+    expect(result.layers[0].commands).toEqual([])
+  })
+})
+
+describe('describeIgnoreRules', () => {
+  it('names functions and regular expressions', () => {
+    expect(describeIgnoreRules([function noAds () {}, { text: /^Updated/ }])).toEqual([{ predicate: 'noAds' }, { text: '^Updated' }])
+  })
+})
+
+describe('maskRegions', () => {
+  it('paints regions in device pixels', () => {
+    const png = { width: 4, height: 1, data: new Uint8Array(16) }
+    maskRegions(png, [{ left: 1, top: 0, right: 2, bottom: 1 }], { scale: 2 })
+    expect([...png.data]).toEqual([0, 0, 0, 0, 0, 0, 0, 0, 255, 0, 255, 255, 255, 0, 255, 255])
+  })
+})
@@ -0,0 +1,83 @@
+import { collectFrameImageSources, fingerprintImages, embedImageHashes } from '../../lib/core/images.js'
+
+const box = (left, top, size = 100) => ({ left, top, right: left + size, bottom: top + size })
+
+// Serves the resource tree and the content of each frame's resources
+function fakeClient (resources) {
+  const asked = []
+  const frameTree = {
+    frame: { id: 'main', url: 'https://example.com/' },
+    resources: resources.main,
+    childFrames: [{ frame: { id: 'child', url: 'https://example.com/ad.html' }, resources: resources.child }]
+  }
+  return {
+    asked,
+    send: async (method, params) => {
+      if (method === 'Page.getResourceTree') return { frameTree }
+      asked.push(params)
+      const owner = params.frameId === 'main' ? resources.main : resources.child
+      if (!owner.some(resource => resource.url === params.url)) throw new Error('No resource with given URL found')
+      return { content: Buffer.from(params.url).toString('base64'), base64Encoded: true }
+    }
+  }
+}
+
+// A frame whose element sits at origin in its parent, returning the given sources
+function fakeFrame (parent, origin, sources) {
+  return {
+    parentFrame: () => parent,
+    frameElement: async () => ({ evaluate: async () => origin }),
+    evaluate: async fn => fn.name === 'collectImageSources' ? sources : { x: 0, y: 0 }
+  }
+}
+
+describe('collectFrameImageSources', () => {
+  it('moves the sources of frames into page coordinates', async () => {
+    const main = fakeFrame(null, null, [{ kind: 'img', url: 'logo.png', bounds: box(0, 0) }])
+    const child = fakeFrame(main, { x: 10, y: 200 }, [{ kind: 'img', url: 'ad.png', bounds: box(5, 5) }])
+    const sources = await collectFrameImageSources({ frames: () => [main, child] })
+
+    expect(sources.map(source => source.bounds)).toEqual([box(0, 0), box(15, 205)])
+  })
+})
+
+describe('fingerprintImages', () => {
+  it('reads every resource from the frame that loaded it', async () => {
+    const client = fakeClient({
+      main: [{ url: 'https://example.com/logo.png' }],
+      child: [{ url: 'https://example.com/ad.png' }]
+    })
+    const images = await fingerprintImages(client, [
+      { kind: 'img', url: 'https://example.com/logo.png', bounds: box(0, 0) },
+      { kind: 'img', url: 'https://example.com/ad.png', bounds: box(0, 200) },
+      { kind: 'background', url: 'https://example.com/gone.png', bounds: box(0, 400) }
+    ])
+
+    expect(client.asked.map(params => params.frameId)).toEqual(['main', 'child', 'main'])
+    expect(images.map(image => image.hash)).toEqual([expect.stringMatching(/^[0-9a-f]{16}$/), expect.stringMatching(/^[0-9a-f]{16}$/), null])
+    expect(images[0].hash).not.toBe(images[1].hash)
+  })
+
+  it('hashes data URLs without asking the page', async () => {
+    const client = fakeClient({ main: [], child: [] })
+    const [image] = await fingerprintImages(client, [{ kind: 'canvas', dataURL: 'data:image/png;base64,AAAA', bounds: box(0, 0) }])
+    expect(image).toMatchObject({ kind: 'canvas', source: 'canvas', hash: expect.any(String) })
+    expect(client.asked).toEqual([])
+  })
+})
+
+describe('embedImageHashes', () => {
+  it('adds the hash of the image inside whose box a draw falls', () => {
+    const draw = { method: 'drawImageRect', params: { dst: box(10, 0, 50) } }
+    const layers = [{ id: '0', bounds: { x: 0, y: 100 }, commands: [draw] }]
+    const images = [
+      { kind: 'img', source: 'logo.png', bounds: box(0, 100), hash: 'aaaa' },
+      { kind: 'canvas', source: 'canvas', bounds: box(0, 400), hash: 'bbbb' }
+    ]
+    const result = embedImageHashes({ layers }, images)
+
+    expect(result.matched).toBe(1)
+    expect(result.layers[0].commands[0]).toMatchObject({ params: { contentHash: 'aaaa' }, imageSource: 'logo.png' })
+    expect(result.imageCommands).toEqual([{ method: 'drawImageRect', params: { dst: box(0, 400), contentHash: 'bbbb' }, imageSource: 'canvas' }])
+  })
+})
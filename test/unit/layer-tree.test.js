@@ -0,0 +1,121 @@
+import { EventEmitter } from 'events'
+import {
+  waitForLayerTree,
+  describeLayers,
+  parseCommandLog,
+  layerOrigins,
+  flattenCommands,
+  hashLayers,
+  diffLayerTrees
+} from '../../lib/core/layer-tree.js'
+
+const cdpLayer = (layerId, parentLayerId, extra = {}) => ({
+  layerId,
+  parentLayerId,
+  offsetX: 0,
+  offsetY: 0,
+  width: 100,
+  height: 50,
+  drawsContent: true,
+  paintCount: 1,
+  ...extra
+})
+
+describe('waitForLayerTree', () => {
+  const page = { evaluate: async () => {} }
+
+  it('resolves with the next update that has layers and stops listening', async () => {
+    const client = new EventEmitter()
+    const layers = waitForLayerTree(client, page)
+    client.emit('LayerTree.layerTreeDidChange', {})
+    client.emit('LayerTree.layerTreeDidChange', { layers: [cdpLayer('1')] })
+
+    expect(await layers).toEqual([cdpLayer('1')])
+    expect(client.listenerCount('LayerTree.layerTreeDidChange')).toBe(0)
+  })
+
+  it('gives up after the timeout without leaving a listener behind', async () => {
+    const client = new EventEmitter()
+    expect(await waitForLayerTree(client, page, 10)).toEqual([])
+    expect(client.listenerCount('LayerTree.layerTreeDidChange')).toBe(0)
+  })
+})
+
+describe('describeLayers', () => {
+  it('numbers unowned layers among their parent\'s children', () => {
+    const layers = describeLayers([cdpLayer('1'), cdpLayer('2', '1'), cdpLayer('3', '1'), cdpLayer('4', '3')])
+    expect(layers.map(layer => [layer.id, layer.parentId])).toEqual([['0', null], ['0/0', '0'], ['0/1', '0'], ['0/1/0', '0/1']])
+  })
+
+  it('names owned layers after their element, so inserting one renumbers nothing else', () => {
+    const owners = new Map([[10, 'header'], [11, 'main > div.card'], [12, 'div.banner']])
+    const before = describeLayers([cdpLayer('1'), cdpLayer('2', '1', { backendNodeId: 10 }), cdpLayer('3', '1', { backendNodeId: 11 })], owners)
+    const after = describeLayers([
+      cdpLayer('1'),
+      cdpLayer('5', '1', { backendNodeId: 12 }),
+      cdpLayer('2', '1', { backendNodeId: 10 }),
+      cdpLayer('3', '1', { backendNodeId: 11 })
+    ], owners)
+
+    expect(before.map(layer => layer.id)).toEqual(['0', 'header', 'main > div.card'])
+    expect(after.map(layer => layer.id)).toEqual(['0', 'div.banner', 'header', 'main > div.card'])
+    expect(diffLayerTrees(before, after).added.map(change => change.id)).toEqual(['div.banner'])
+    expect(diffLayerTrees(before, after).removed).toEqual([])
+  })
+
+  it('suffixes further layers of the same selector', () => {
+    const owners = new Map([[10, 'li.item'], [11, 'li.item']])
+    const layers = describeLayers([cdpLayer('1'), cdpLayer('2', '1', { backendNodeId: 10 }), cdpLayer('3', '1', { backendNodeId: 11 })], owners)
+    expect(layers.map(layer => layer.id)).toEqual(['0', 'li.item', 'li.item@2'])
+  })
+})
+
+describe('parseCommandLog', () => {
+  it('accepts JSON strings, arrays and objects', () => {
+    expect(parseCommandLog('[{"method":"save"}]')).toEqual([{ method: 'save' }])
+    expect(parseCommandLog([{ method: 'save' }])).toEqual([{ method: 'save' }])
+    expect(parseCommandLog({ commands: [{ method: 'save' }] })).toEqual([{ method: 'save' }])
+    expect(parseCommandLog('not json')).toEqual([])
+  })
+})
+
+describe('layerOrigins', () => {
+  it('adds up offsets along the parent chain', () => {
+    const layers = describeLayers([cdpLayer('1', null, { offsetX: 10 }), cdpLayer('2', '1', { offsetX: 5, offsetY: 7 })])
+    expect(layerOrigins(layers).get('0/0')).toEqual({ x: 15, y: 7 })
+  })
+})
+
+describe('flattenCommands', () => {
+  it('concatenates layers, text and image commands in paint order', () => {
+    const snapshot = {
+      layers: [{ commands: [{ method: 'a' }] }, { commands: [{ method: 'b' }] }],
+      textCommands: [{ method: 'c' }],
+      imageCommands: [{ method: 'd' }]
+    }
+    expect(flattenCommands(snapshot).map(cmd => cmd.method)).toEqual(['a', 'b', 'c', 'd'])
+    expect(flattenCommands({ commands: [{ method: 'flat' }] })).toEqual([{ method: 'flat' }])
+  })
+})
+
+describe('hashLayers', () => {
+  it('ignores CDP ids, paint counts and node annotations', () => {
+    const [a] = describeLayers([cdpLayer('1', null, { paintCount: 1 })])
+    const [b] = describeLayers([cdpLayer('99', null, { paintCount: 7 })])
+    a.commands = [{ method: 'drawRect', params: {}, node: 'div.a' }]
+    b.commands = [{ method: 'drawRect', params: {}, node: 'div.b' }]
+    expect(hashLayers([a])).toBe(hashLayers([b]))
+  })
+})
+
+describe('diffLayerTrees', () => {
+  it('reports changed properties and commands', () => {
+    const [baseline] = describeLayers([cdpLayer('1')])
+    const actual = { ...baseline, transform: [1, 0, 0, 1], commands: [{ method: 'drawRect' }] }
+    const diff = diffLayerTrees([baseline], [actual])
+    expect(diff.changed.map(change => change.description)).toEqual([
+      'layer 0 gained transform',
+      'layer 0 paint commands changed (0 → 1)'
+    ])
+  })
+})
@@ -0,0 +1,71 @@
+import { captureLayout, ignoreLayoutRegions, scopeLayout, hashLayout, diffLayout } from '../../lib/core/layout.js'
+
+const node = (key, x, y, width = 10, height = 10, styles = { display: 'block' }) => ({
+  key,
+  node: key.replace(/ \(\d+\)$/, ''),
+  bounds: { x, y, width, height },
+  styles
+})
+
+describe('captureLayout', () => {
+  it('keys repeated paths with a counter and reads the requested styles', async () => {
+    const strings = ['UL', 'LI', 'block', 'list-item', '#text']
+    const snapshot = {
+      strings,
+      documents: [{
+        nodes: {
+          nodeType: [1, 1, 1, 3],
+          nodeName: [0, 1, 1, 4],
+          parentIndex: [-1, 0, 0, 2],
+          attributes: [[], [], [], []],
+          backendNodeId: [1, 2, 3, 4]
+        },
+        layout: {
+          nodeIndex: [0, 1, 2, 3],
+          bounds: [[0, 0, 100, 40], [0, 0, 100, 20.004], [0, 20, 100, 20], [0, 20, 30, 20]],
+          styles: [[2], [3], [3], []]
+        },
+        textBoxes: { layoutIndex: [], bounds: [] }
+      }]
+    }
+    const client = { send: async () => snapshot }
+    const nodes = await captureLayout(client, { styles: ['display'] })
+
+    expect(nodes.map(({ key }) => key)).toEqual(['ul', 'ul > li', 'ul > li (2)'])
+    expect(nodes[1]).toEqual({ key: 'ul > li', node: 'ul > li', bounds: { x: 0, y: 0, width: 100, height: 20 }, styles: { display: 'list-item' } })
+  })
+})
+
+describe('ignoreLayoutRegions', () => {
+  it('drops elements entirely inside a region', () => {
+    const nodes = [node('a', 0, 0), node('b', 5, 5, 20, 20)]
+    expect(ignoreLayoutRegions(nodes, [{ left: 0, top: 0, right: 15, bottom: 15 }]).map(({ key }) => key)).toEqual(['b'])
+  })
+})
+
+describe('scopeLayout', () => {
+  it('keeps the elements inside the box, relative to it', () => {
+    const nodes = [node('card', 100, 50, 200, 100), node('card > h2', 110, 60.3), node('footer', 0, 500)]
+    const scoped = scopeLayout(nodes, { left: 100, top: 50.2, right: 300, bottom: 150.2 })
+    expect(scoped.map(({ key, bounds }) => [key, bounds.x, bounds.y])).toEqual([['card', 0, -0.2], ['card > h2', 10, 10.1]])
+  })
+})
+
+describe('hashLayout', () => {
+  it('changes with any node', () => {
+    expect(hashLayout([node('a', 0, 0)])).toBe(hashLayout([node('a', 0, 0)]))
+    expect(hashLayout([node('a', 0, 0)])).not.toBe(hashLayout([node('a', 0, 1)]))
+  })
+})
+
+describe('diffLayout', () => {
+  it('reports added and removed elements, geometry beyond epsilon and style changes', () => {
+    const baseline = [node('a', 0, 0), node('b', 0, 20), node('c', 0, 40)]
+    const actual = [node('a', 0.4, 0), node('b', 3, 20, 10, 10, { display: 'flex' }), node('d', 0, 60)]
+    const diff = diffLayout(baseline, actual, { epsilon: 0.5 })
+
+    expect(diff.added.map(change => change.description)).toEqual(['d: added'])
+    expect(diff.removed.map(change => change.description)).toEqual(['c: removed'])
+    expect(diff.changed.map(change => change.description)).toEqual(['b: x 0 → 3', 'b: display block → flex'])
+  })
+})
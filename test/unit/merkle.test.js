@@ -0,0 +1,61 @@
+import { buildMerkleTree, localizeChanges, diffLocalized } from '../../lib/core/merkle.js'
+import { diffCommands } from '../../lib/core/command-diff.js'
+import { flattenCommands } from '../../lib/core/layer-tree.js'
+
+const rect = (left, color = '#FF000000') => ({ method: 'drawRect', params: { rect: { left, top: 0, right: left + 10, bottom: 10 }, paint: { color } } })
+const save = { method: 'save', params: {} }
+const restore = { method: 'restore', params: {} }
+
+function snapshot (commands, { bounds = { x: 0, y: 0, width: 100, height: 50 }, textCommands = [] } = {}) {
+  return { layers: [{ id: '0', bounds, commands }], textCommands, imageCommands: [] }
+}
+
+describe('buildMerkleTree', () => {
+  it('hashes identical snapshots alike and nests save/restore blocks', () => {
+    const commands = [rect(0), save, rect(20), restore]
+    const tree = buildMerkleTree(snapshot(commands))
+
+    expect(tree.hash).toBe(buildMerkleTree(snapshot(commands)).hash)
+    expect(tree.layers[0].commands.children).toMatchObject([{ start: 1, end: 3, children: [] }])
+  })
+})
+
+describe('localizeChanges', () => {
+  it('narrows a change down to the block it is in', () => {
+    const baseline = snapshot([rect(0), save, rect(20), restore])
+    const actual = snapshot([rect(0), save, rect(20, '#FFFF0000'), restore])
+    const changes = localizeChanges(buildMerkleTree(baseline), buildMerkleTree(actual))
+
+    expect(changes).toEqual([{ list: '0', path: 'layer 0 > block@1', baseline: { start: 1, end: 3 }, actual: { start: 1, end: 3 } }])
+  })
+
+  it('lists changed layer properties and text', () => {
+    const baseline = snapshot([rect(0)], { textCommands: [{ method: 'drawTextBlob', params: { text: 'a' } }] })
+    const actual = snapshot([rect(0)], {
+      bounds: { x: 0, y: 10, width: 100, height: 50 },
+      textCommands: [{ method: 'drawTextBlob', params: { text: 'b' } }]
+    })
+    const changes = localizeChanges(buildMerkleTree(baseline), buildMerkleTree(actual))
+
+    expect(changes).toEqual([
+      { list: '0', properties: true },
+      { list: 'text', path: 'text', baseline: { start: 0, end: 0 }, actual: { start: 0, end: 0 } }
+    ])
+  })
+})
+
+describe('diffLocalized', () => {
+  it('diffs only the changed blocks, with indices into the flattened commands', () => {
+    const baseline = snapshot([rect(0), rect(40), save, rect(20), restore], { textCommands: [{ method: 'drawTextBlob', params: { text: 'a' } }] })
+    const actual = snapshot([rect(0), rect(40), save, rect(20, '#FFFF0000'), restore], { textCommands: [{ method: 'drawTextBlob', params: { text: 'b' } }] })
+    const changes = localizeChanges(buildMerkleTree(baseline), buildMerkleTree(actual))
+    const diff = diffLocalized(baseline, actual, changes)
+    const full = diffCommands(flattenCommands(baseline), flattenCommands(actual))
+
+    expect(diff.modified.map(entry => [entry.baselineIndex, entry.actualIndex])).toEqual(
+      full.modified.map(entry => [entry.baselineIndex, entry.actualIndex])
+    )
+    expect(diff.unchanged).toBe(full.unchanged)
+    expect(diff.regions.map(region => region.commands)).toEqual([6, 2])
+  })
+})
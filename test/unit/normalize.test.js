@@ -0,0 +1,55 @@
+import { canonicalCommand, canonicalColor, normalizeSnapshot } from '../../lib/core/normalize.js'
+
+const layer = commands => ({ id: '0', commands })
+
+describe('canonicalCommand', () => {
+  it('brings commands into the { method, params } form and keeps annotations', () => {
+    expect(canonicalCommand({ cmd: 'save' })).toEqual({ method: 'save', params: {} })
+    expect(canonicalCommand({ method: 'drawRect', params: { rect: {} }, node: 'div' }))
+      .toEqual({ method: 'drawRect', params: { rect: {} }, node: 'div' })
+  })
+})
+
+describe('canonicalColor', () => {
+  it('writes every color as #AARRGGBB', () => {
+    expect(canonicalColor('#abc')).toBe('#FFAABBCC')
+    expect(canonicalColor('#aabbcc')).toBe('#FFAABBCC')
+    expect(canonicalColor('#80aabbcc')).toBe('#80AABBCC')
+  })
+})
+
+describe('normalizeSnapshot', () => {
+  it('runs the normalizers in order and records them', () => {
+    const translate = { method: 'translate', params: { dx: 10, dy: 0 } }
+    const rect = { method: 'drawRect', params: { rect: { left: 0.123, top: 0, right: 5, bottom: 5 } } }
+    const { layers, applied } = normalizeSnapshot({ layers: [layer([translate, rect])] }, ['absolute', { name: 'round', digits: 1 }])
+
+    expect(layers[0].commands).toEqual([{ method: 'drawRect', params: { rect: { left: 10.1, top: 0, right: 15, bottom: 5 } } }])
+    expect(applied).toEqual(['canonical', 'absolute', 'round(digits=1)'])
+  })
+
+  it('drops commands without visible effect', () => {
+    const commands = [
+      { method: 'save', params: {} },
+      { method: 'drawRect', params: { rect: {}, paint: { color: '#00FF0000' } } },
+      { method: 'restore', params: {} },
+      { method: 'drawRect', params: { rect: {}, paint: { color: '#FFFF0000' } } }
+    ]
+    const { layers } = normalizeSnapshot({ layers: [layer(commands)] }, ['noops'])
+    expect(layers[0].commands.map(cmd => cmd.params.paint?.color)).toEqual(['#FFFF0000'])
+  })
+
+  it('labels custom normalizers by name', () => {
+    const dropAll = () => []
+    const { applied } = normalizeSnapshot({}, [
+      function keep (commands) { return commands },
+      { name: 'dropAll', run: dropAll }
+    ])
+    expect(applied).toEqual(['canonical', 'custom:keep', 'custom:dropAll'])
+  })
+
+  it('rejects unnamed custom normalizers and unknown names', () => {
+    expect(() => normalizeSnapshot({}, [{ run: commands => commands }])).toThrow('Custom normalizers need a name')
+    expect(() => normalizeSnapshot({}, ['sort'])).toThrow('Unknown normalizer "sort"')
+  })
+})
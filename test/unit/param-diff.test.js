@@ -0,0 +1,52 @@
+import { explainChanges, describeModification, collectChanges, categorize } from '../../lib/core/param-diff.js'
+
+describe('collectChanges', () => {
+  it('lists every differing leaf with a dotted path', () => {
+    const changes = collectChanges(
+      { paint: { color: '#FF000000' }, rrect: { radii: [{ x: 1 }, { x: 2 }] } },
+      { paint: { color: '#FFFFFFFF' }, rrect: { radii: [{ x: 1 }, { x: 3 }] } }
+    )
+    expect(changes).toEqual([
+      { path: 'paint.color', baseline: '#FF000000', actual: '#FFFFFFFF' },
+      { path: 'rrect.radii[1].x', baseline: 2, actual: 3 }
+    ])
+  })
+})
+
+describe('categorize', () => {
+  it('classifies by method and parameter path', () => {
+    expect(categorize('drawRect', 'paint.color')).toBe('color')
+    expect(categorize('drawRect', 'rect.left')).toBe('geometry')
+    expect(categorize('clipRect', 'rect.left')).toBe('clip')
+    expect(categorize('translate', 'dx')).toBe('transform')
+    expect(categorize('drawTextBlob', 'text')).toBe('text')
+    expect(categorize('drawImageRect', 'image.contentHash')).toBe('image')
+    expect(categorize('drawRect', 'paint.blendMode')).toBe('blend mode')
+    expect(categorize('drawRect', 'method')).toBe('method')
+    expect(categorize('drawRect', 'paint.flags')).toBe('other')
+  })
+})
+
+describe('explainChanges', () => {
+  it('summarizes each change', () => {
+    const changes = explainChanges(
+      { method: 'drawRect', params: { rect: { left: 0 } } },
+      { method: 'drawRect', params: { rect: { left: 4 } } }
+    )
+    expect(changes).toEqual([{ path: 'rect.left', baseline: 0, actual: 4, category: 'geometry', summary: 'rect.left 0 → 4' }])
+  })
+
+  it('reports a method change alone', () => {
+    const [change] = explainChanges({ method: 'drawRect', params: {} }, { method: 'drawOval', params: { oval: {} } })
+    expect(change).toMatchObject({ path: 'method', category: 'method' })
+  })
+})
+
+describe('describeModification', () => {
+  it('names the node, or the index without one', () => {
+    expect(describeModification({ actualIndex: 3, method: 'drawTextBlob', node: 'nav > a', categories: ['color'] }))
+      .toBe('nav > a: text color changed')
+    expect(describeModification({ actualIndex: 3, method: 'drawRect', node: null, categories: [] }))
+      .toBe('#3: drawRect changed')
+  })
+})
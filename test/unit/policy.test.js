@@ -0,0 +1,86 @@
+import { normalizePolicy, classifyChanges, evaluatePolicy } from '../../lib/core/policy.js'
+
+const noLayers = { added: [], removed: [], changed: [] }
+
+function diffs ({ added = [], removed = [], modified = [] } = {}, textDiff = null) {
+  return {
+    shift: { shifts: [], remaining: { added, removed, modified, layers: [] } },
+    layerDiff: noLayers,
+    textDiff
+  }
+}
+
+const text = (index, value, extra = {}) => ({
+  index,
+  command: {
+    method: 'drawTextBlob',
+    params: { text: value, rect: { left: 0, top: index * 20, right: 100, bottom: index * 20 + 16 }, paint: { color: '#FF000000' }, ...extra },
+    node: 'p'
+  }
+})
+
+const colorChange = {
+  actualIndex: 2,
+  method: 'drawRect',
+  node: 'div.card',
+  categories: ['color'],
+  changes: [{ path: 'paint.color', baseline: '#FF000000', actual: '#FFFF0000', category: 'color' }]
+}
+
+describe('normalizePolicy', () => {
+  it('maps the shifts option onto the shift category', () => {
+    expect(normalizePolicy(null, { shifts: 'pass' })).toEqual({ default: 'fail', categories: { shift: 'ignore' }, rules: [] })
+  })
+
+  it('rejects unknown severities and categories', () => {
+    expect(() => normalizePolicy({ default: 'maybe' })).toThrow('Unknown severity "maybe" in policy default')
+    expect(() => normalizePolicy({ categories: { colour: 'warn' } })).toThrow('Unknown change category "colour"')
+  })
+})
+
+describe('classifyChanges', () => {
+  it('counts a modified command once per category', () => {
+    const changes = classifyChanges(diffs({ modified: [{ ...colorChange, categories: ['color', 'geometry'] }] }))
+    expect(changes.map(change => change.category)).toEqual(['color', 'geometry'])
+  })
+
+  it('leaves text commands the text runs account for to the runs', () => {
+    const textDiff = [{ node: 'p', baseline: 'Hello', actual: 'Hello world', description: 'p: Hello {+world+}' }]
+    const changes = classifyChanges(diffs({ added: [text(1, 'world')] }, textDiff))
+    expect(changes).toEqual([{ category: 'text', node: 'p', description: 'p: Hello {+world+}', text: { baseline: 'Hello', actual: 'Hello world' } }])
+  })
+
+  it('keeps text commands the text runs don\'t account for', () => {
+    const changes = classifyChanges(diffs({ removed: [text(1, 'gone')] }, []))
+    expect(changes.map(change => change.category)).toEqual(['element-removed'])
+  })
+
+  it('reports what else changed on re-wrapped lines', () => {
+    const changes = classifyChanges(diffs({
+      removed: [text(0, 'Hello big'), text(1, 'world')],
+      added: [text(0, 'Hello', { paint: { color: '#FFFF0000' } }), text(1, 'big world')]
+    }, []))
+    expect(changes).toEqual([{ category: 'color', node: 'p', description: 'p: text color changed' }])
+  })
+})
+
+describe('evaluatePolicy', () => {
+  it('takes the severity of the last matching rule, else the category, else the default', () => {
+    const policy = normalizePolicy({
+      categories: { color: 'warn' },
+      rules: [{ scenario: 'home', selector: 'div.card', severity: 'ignore' }]
+    })
+    expect(evaluatePolicy(diffs({ modified: [colorChange] }), policy, ['about']).verdict).toBe('warn')
+    expect(evaluatePolicy(diffs({ modified: [colorChange] }), policy, ['home'])).toMatchObject({
+      verdict: 'pass',
+      counts: { fail: 0, warn: 0, ignore: 1 }
+    })
+  })
+
+  it('matches text rules against both sides of a run', () => {
+    const textDiff = [{ node: 'p', baseline: 'Updated 5 minutes ago', actual: 'Updated 7 minutes ago', description: '' }]
+    const policy = normalizePolicy({ rules: [{ category: 'text', text: '^Updated \\d+ minutes ago$', severity: 'ignore' }] })
+    expect(evaluatePolicy(diffs({}, textDiff), policy).verdict).toBe('pass')
+    expect(evaluatePolicy(diffs({}, [{ ...textDiff[0], actual: 'Deleted' }]), policy).verdict).toBe('fail')
+  })
+})
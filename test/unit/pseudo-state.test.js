@@ -0,0 +1,58 @@
+import { pseudoStateVariants, variantName, forcePseudoState, clearPseudoState } from '../../lib/core/pseudo-state.js'
+
+// Answers DOM queries with the given node ids and records what is sent over CDP
+function fakeClient (nodeIds) {
+  const sent = []
+  return {
+    sent,
+    send: async (method, params) => {
+      sent.push([method, params])
+      if (method === 'DOM.getDocument') return { root: { nodeId: 1 } }
+      if (method === 'DOM.querySelectorAll') return { nodeIds }
+      return {}
+    }
+  }
+}
+
+describe('pseudoStateVariants', () => {
+  it('makes one variant per state, prefixed with the entry name', () => {
+    expect(pseudoStateVariants([
+      { selector: 'a.nav', states: ['hover', 'focus'] },
+      { selector: 'button', states: ['active'], name: 'cta' }
+    ])).toEqual([
+      { suffix: 'hover', selector: 'a.nav', state: 'hover' },
+      { suffix: 'focus', selector: 'a.nav', state: 'focus' },
+      { suffix: 'cta-active', selector: 'button', state: 'active' }
+    ])
+  })
+
+  it('rejects entries without a selector and unknown states', () => {
+    expect(() => pseudoStateVariants({ states: ['hover'] })).toThrow('missing a "selector"')
+    expect(() => pseudoStateVariants({ selector: 'a', states: ['pressed'] })).toThrow('Unknown pseudo-state "pressed"')
+  })
+})
+
+describe('variantName', () => {
+  it('appends the suffix to the scenario name', () => {
+    expect(variantName('home', { suffix: 'cta-active' })).toBe('home--cta-active')
+  })
+})
+
+describe('forcePseudoState', () => {
+  it('forces the state on every match and clears it again', async () => {
+    const client = fakeClient([4, 5])
+    const nodeIds = await forcePseudoState(client, 'a.nav', 'hover')
+    await clearPseudoState(client, nodeIds)
+
+    expect(client.sent.filter(([method]) => method === 'CSS.forcePseudoState').map(([, params]) => params)).toEqual([
+      { nodeId: 4, forcedPseudoClasses: ['hover'] },
+      { nodeId: 5, forcedPseudoClasses: ['hover'] },
+      { nodeId: 4, forcedPseudoClasses: [] },
+      { nodeId: 5, forcedPseudoClasses: [] }
+    ])
+  })
+
+  it('fails when nothing matches', async () => {
+    await expect(forcePseudoState(fakeClient([]), '.missing', 'hover')).rejects.toThrow('No element matches selector ".missing"')
+  })
+})
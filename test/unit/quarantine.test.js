@@ -0,0 +1,62 @@
+import { findFlakyCommands, applyQuarantine, quarantineSnapshot, describeQuarantineRule } from '../../lib/core/quarantine.js'
+import { hashLayers } from '../../lib/core/layer-tree.js'
+
+const text = value => ({ method: 'drawTextBlob', params: { text: value }, node: 'span.id' })
+const rect = { method: 'drawRect', params: { rect: { left: 0, top: 0, right: 10, bottom: 10 } } }
+const capture = commands => ({ layers: [{ id: '0', commands }], imageCommands: [] })
+
+describe('findFlakyCommands', () => {
+  it('masks params that varied and drops commands that came and went', () => {
+    const caret = { method: 'drawRect', params: { rect: { left: 5, top: 0, right: 6, bottom: 10 } }, node: 'input' }
+    const rules = findFlakyCommands([
+      capture([rect, text('a1')]),
+      capture([rect, text('b2'), caret]),
+      capture([rect, text('c3')])
+    ])
+
+    expect(rules).toMatchObject([
+      { layer: '0', method: 'drawTextBlob', node: 'span.id', paths: ['text'], runs: 2 },
+      { layer: '0', method: 'drawRect', node: 'input', paths: null, runs: 1 }
+    ])
+    expect(describeQuarantineRule(rules[0])).toBe('span.id: drawTextBlob text varied')
+    expect(describeQuarantineRule(rules[1])).toBe('input: drawRect came and went')
+  })
+
+  it('finds nothing in identical captures', () => {
+    expect(findFlakyCommands([capture([rect]), capture([rect])])).toEqual([])
+  })
+})
+
+describe('applyQuarantine', () => {
+  it('makes captures that only differ in flaky commands equal', () => {
+    const rules = findFlakyCommands([capture([rect, text('a1')]), capture([rect, text('b2')])])
+    const { snapshot, suppressed } = applyQuarantine(capture([rect, text('z9')]), rules)
+
+    expect(snapshot.layers[0].commands[1]).toEqual({ method: 'drawTextBlob', params: { text: '<flaky>' }, node: 'span.id' })
+    expect(suppressed).toMatchObject([{ action: 'masked' }])
+  })
+})
+
+describe('text commands', () => {
+  it('quarantines text boxes like layer commands', () => {
+    const withText = value => ({ layers: [{ id: '0', commands: [rect] }], textCommands: [text(value)], imageCommands: [] })
+    const rules = findFlakyCommands([withText('id 1f3a'), withText('id 9c0d')])
+    expect(rules).toMatchObject([{ layer: 'text', method: 'drawTextBlob', paths: ['text'] }])
+
+    const { snapshot, suppressed } = quarantineSnapshot(withText('id 77b2'), rules)
+    expect(snapshot.textCommands).toEqual([{ method: 'drawTextBlob', params: { text: '<flaky>' }, node: 'span.id' }])
+    expect(snapshot.hash).toBe(quarantineSnapshot(withText('id 1f3a'), rules).snapshot.hash)
+    expect(suppressed).toHaveLength(1)
+  })
+})
+
+describe('quarantineSnapshot', () => {
+  it('redoes the hash over layers, text and image commands', () => {
+    const rules = findFlakyCommands([capture([rect, text('a1')]), capture([rect, text('b2')])])
+    const textCommands = [text('Hello')]
+    const { snapshot } = quarantineSnapshot({ ...capture([rect, text('z9')]), textCommands, hash: 'stale' }, rules)
+
+    expect(snapshot.hash).toBe(hashLayers(snapshot.layers, textCommands))
+    expect(snapshot.merkle.hash).toEqual(expect.any(String))
+  })
+})
@@ -0,0 +1,33 @@
+import { DEFAULT_CONDITIONS, normalizeReadiness, describeCondition } from '../../lib/core/readiness.js'
+
+describe('normalizeReadiness', () => {
+  it('treats a list as the conditions', () => {
+    expect(normalizeReadiness([{ fonts: true }])).toEqual({ until: 'load', timeout: 10000, conditions: [{ fonts: true }] })
+  })
+
+  it('expands the selector and delay shorthands around the conditions', () => {
+    const { conditions } = normalizeReadiness({ selector: '.chart', delay: 200, conditions: [{ fonts: true }] })
+    expect(conditions).toEqual([{ selector: '.chart' }, { fonts: true }, { delay: 200 }])
+  })
+
+  it('extends the defaults with object settings and replaces them with a list', () => {
+    const defaults = { conditions: DEFAULT_CONDITIONS, timeout: 5000 }
+    expect(normalizeReadiness({ selector: '.chart' }, defaults)).toMatchObject({
+      timeout: 5000,
+      conditions: [{ selector: '.chart' }, ...DEFAULT_CONDITIONS]
+    })
+    expect(normalizeReadiness([{ absent: '.spinner' }], defaults)).toMatchObject({ timeout: 10000, conditions: [{ absent: '.spinner' }] })
+  })
+
+  it('rejects unknown conditions', () => {
+    expect(() => normalizeReadiness([{ visible: '.chart' }])).toThrow('Unknown readiness condition {"visible":".chart"}')
+  })
+})
+
+describe('describeCondition', () => {
+  it('names the condition and its value', () => {
+    expect(describeCondition({ fonts: true })).toBe('fonts')
+    expect(describeCondition({ absent: '.spinner' })).toBe('absent ".spinner"')
+    expect(describeCondition({ predicate: function chartDrawn () {} })).toBe('predicate chartDrawn')
+  })
+})
@@ -0,0 +1,37 @@
+import { changedSteps, stepRegions, outlineRegions } from '../../lib/core/replay.js'
+import { stepHashes } from '../../lib/core/layer-tree.js'
+
+const rect = left => ({ method: 'drawRect', params: { rect: { left, top: 0, right: left + 10, bottom: 10 } } })
+
+describe('changedSteps', () => {
+  it('lists the actual steps inserted or changed', () => {
+    const baseline = stepHashes([rect(0), rect(20), rect(40)])
+    const actual = stepHashes([rect(0), rect(25), rect(40), rect(60)])
+    expect(changedSteps(baseline, actual)).toEqual({ from: 1, to: 3, indices: [1, 3] })
+  })
+
+  it('is null when steps were only removed', () => {
+    expect(changedSteps(stepHashes([rect(0), rect(20)]), stepHashes([rect(0)]))).toBeNull()
+  })
+
+  it('counts every step as changed without baseline steps', () => {
+    expect(changedSteps([], stepHashes([rect(0), rect(20)]))).toEqual({ from: 0, to: 1, indices: [0, 1] })
+  })
+})
+
+describe('stepRegions', () => {
+  it('gives the bounds of the wanted steps with translations applied', () => {
+    const commands = [{ method: 'translate', params: { dx: 5, dy: 5 } }, rect(0), rect(20)]
+    expect(stepRegions(commands, [2])).toEqual([{ left: 25, top: 5, right: 35, bottom: 15 }])
+  })
+})
+
+describe('outlineRegions', () => {
+  it('draws the outline only', () => {
+    const png = { width: 12, height: 12, data: new Uint8Array(12 * 12 * 4) }
+    outlineRegions(png, [{ left: 4, top: 4, right: 8, bottom: 8 }])
+    const red = (x, y) => png.data[(y * 12 + x) * 4] === 255
+    expect(red(2, 2)).toBe(true)
+    expect(red(6, 6)).toBe(false)
+  })
+})
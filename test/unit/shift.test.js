@@ -0,0 +1,49 @@
+import { detectShifts, describeShift } from '../../lib/core/shift.js'
+import { diffCommands } from '../../lib/core/command-diff.js'
+
+const rect = (top, color = '#FF000000', node = 'p') => ({
+  method: 'drawRect',
+  params: { rect: { left: 0, top, right: 100, bottom: top + 10 }, paint: { color } },
+  node
+})
+
+describe('detectShifts', () => {
+  it('groups content pushed down by an inserted banner into one shift', () => {
+    const baseline = [rect(0), rect(20, '#FF00FF00')]
+    const actual = [rect(0, '#FFFFFF00', 'div.banner'), rect(40), rect(60, '#FF00FF00')]
+    const result = detectShifts(diffCommands(baseline, actual))
+
+    expect(result.shifts).toMatchObject([{ dx: 0, dy: 40, from: 1, to: 2, count: 2, node: 'p' }])
+    expect(result.shifted).toBe(2)
+    expect(result.remaining.added.map(entry => entry.command.node)).toEqual(['div.banner'])
+    expect(result.pure).toBe(false)
+  })
+
+  it('is pure when only the position changed', () => {
+    const result = detectShifts(diffCommands([rect(0)], [rect(5)]))
+    expect(result).toMatchObject({ shifted: 1, pure: true })
+    expect(result.shifts[0].description).toBe('1 commands from p (#0-#0) shifted by (0, 5)')
+  })
+
+  it('counts moved layers as shifts, but not resized ones', () => {
+    const bounds = (x, width) => ({ x, y: 0, width, height: 50 })
+    const layerDiff = {
+      added: [],
+      removed: [],
+      changed: [
+        { id: '0/1', property: 'bounds', baseline: bounds(0, 100), actual: bounds(12, 100) },
+        { id: '0/2', property: 'bounds', baseline: bounds(0, 100), actual: bounds(0, 120) }
+      ]
+    }
+    const result = detectShifts(diffCommands([], []), layerDiff)
+
+    expect(result.shifts.map(shift => shift.description)).toEqual(['layer 0/1 shifted by (12, 0)'])
+    expect(result.remaining.layers.map(change => change.id)).toEqual(['0/2'])
+  })
+})
+
+describe('describeShift', () => {
+  it('rounds the offset', () => {
+    expect(describeShift({ count: 3, from: 4, to: 6, node: null, dx: 0, dy: 12.3456 })).toBe('3 commands (#4-#6) shifted by (0, 12.35)')
+  })
+})
@@ -0,0 +1,26 @@
+import { captureStable } from '../../lib/core/stable-capture.js'
+
+// Returns the given samples in turn
+const samplesOf = (...results) => async attempt => results[attempt - 1]
+
+describe('captureStable', () => {
+  it('returns once enough samples in a row agree', async () => {
+    const { result, stability } = await captureStable(
+      samplesOf({ hash: 'a' }, { hash: 'b' }, { hash: 'b', last: true }),
+      { interval: 0 }
+    )
+    expect(result).toEqual({ hash: 'b', last: true })
+    expect(stability).toMatchObject({ attempts: 3, required: 2, hashes: ['a', 'b', 'b'], stable: true })
+  })
+
+  it('never counts empty samples as stable', async () => {
+    const error = await captureStable(samplesOf({ empty: true }, { empty: true }), { maxAttempts: 2, interval: 0 }).catch(e => e)
+    expect(error.message).toMatch('every sample was empty')
+    expect(error.stability).toMatchObject({ attempts: 2, hashes: [null, null], stable: false })
+  })
+
+  it('fails with the hashes when they keep changing', async () => {
+    const error = await captureStable(samplesOf({ hash: 'a' }, { empty: true }, { hash: 'a' }), { maxAttempts: 3, interval: 0 }).catch(e => e)
+    expect(error.message).toMatch('hashes kept changing: a, empty, a')
+  })
+})
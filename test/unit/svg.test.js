@@ -0,0 +1,61 @@
+import { commandsToSvg, snapshotToSvg, diffToSvg } from '../../lib/core/svg.js'
+import { scopeToBox } from '../../lib/core/element-scope.js'
+
+const layer = (commands, extra = {}) => ({ id: '0', parentId: null, bounds: { x: 0, y: 0, width: 300, height: 200 }, commands, ...extra })
+const rect = { method: 'drawRect', params: { rect: { left: 0, top: 0, right: 10, bottom: 10 }, paint: { color: '#FFFF0000' } } }
+
+describe('commandsToSvg', () => {
+  it('opens a group per translate and closes it with the block', () => {
+    const svg = commandsToSvg([
+      { method: 'save' },
+      { method: 'translate', params: { dx: 5, dy: 6 } },
+      rect,
+      { method: 'restore' }
+    ], { defs: [], nextId: 0 })
+    expect(svg.split('\n').filter(Boolean)).toEqual([
+      '<g transform="translate(5 6)">',
+      '<rect x="0" y="0" width="10" height="10" data-method="drawRect" fill="#FF0000"/>',
+      '</g>'
+    ])
+  })
+
+  it('skips transparent draws', () => {
+    const clear = { method: 'drawPaint', params: { paint: { color: '#00000000' } } }
+    expect(commandsToSvg([clear], { defs: [], nextId: 0 }).trim()).toBe('')
+  })
+})
+
+describe('snapshotToSvg', () => {
+  it('sizes the document after the root layers', () => {
+    expect(snapshotToSvg({ layers: [layer([rect])] })).toMatch('<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200"')
+  })
+
+  it('sizes scoped snapshots after the element box', () => {
+    const scope = { selector: '.header', box: { left: 20, top: 40, right: 140.5, bottom: 100 } }
+    expect(snapshotToSvg({ layers: [layer([rect])], scope })).toMatch('width="121" height="60"')
+  })
+
+  it('draws scoped layers once offset, nested ones inside their parent', () => {
+    const at = (left, top) => ({ ...rect, params: { ...rect.params, rect: { left, top, right: left + 10, bottom: top + 10 } } })
+    const box = { left: 50, top: 50, right: 250, bottom: 250 }
+    const layers = [
+      layer([at(60, 60)]),
+      { id: 'card', parentId: '0', bounds: { x: 100, y: 100, width: 50, height: 50 }, commands: [at(5, 5)] }
+    ]
+    const lines = snapshotToSvg({ ...scopeToBox({ layers }, box), scope: { selector: '.panel', box } }).split('\n')
+
+    // The rect at page (60, 60) lands at (10, 10), the card's at (55, 55), inside the card's clip
+    expect(lines).toContain('<g data-layer="0" transform="translate(-50 -50)">')
+    expect(lines).toContain('<rect x="60" y="60" width="10" height="10" data-method="drawRect" fill="#FF0000"/>')
+    expect(lines).toContain('<g data-layer="card" transform="translate(100 100)">')
+    expect(lines).toContain('<rect x="5" y="5" width="10" height="10" data-method="drawRect" fill="#FF0000"/>')
+  })
+})
+
+describe('diffToSvg', () => {
+  it('puts baseline, actual and difference side by side', () => {
+    const svg = diffToSvg({ layers: [layer([rect])] }, { layers: [layer([])] }, { gap: 10 })
+    expect(svg).toMatch('width="920" height="224"')
+    expect(svg).toMatch('mix-blend-mode:difference')
+  })
+})
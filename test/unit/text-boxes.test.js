@@ -0,0 +1,71 @@
+import { captureTextCommands, skiaColor } from '../../lib/core/text-boxes.js'
+
+describe('skiaColor', () => {
+  it('turns computed colors into #AARRGGBB', () => {
+    expect(skiaColor('rgb(51, 51, 51)')).toBe('#FF333333')
+    expect(skiaColor('rgba(255, 0, 0, 0.5)')).toBe('#80FF0000')
+    expect(skiaColor('transparent')).toBe('transparent')
+  })
+})
+
+describe('captureTextCommands', () => {
+  // <p> with the text node "Hello world", laid out as two line boxes, and a hidden <span>
+  const strings = ['P', '#text', 'Hello world', 'Arial', '16px', '400', 'normal', 'rgb(0, 0, 0)', 'visible', 'hidden', 'SPAN', 'secret']
+  const visible = [3, 4, 5, 6, 7, 8]
+  const snapshot = {
+    strings,
+    documents: [{
+      nodes: {
+        nodeType: [1, 3, 1, 3],
+        nodeName: [0, 1, 10, 1],
+        parentIndex: [-1, 0, -1, 2],
+        attributes: [[], [], [], []],
+        backendNodeId: [10, 11, 12, 13]
+      },
+      layout: {
+        nodeIndex: [0, 1, 2, 3],
+        bounds: [[0, 0, 100, 40], [0, 0, 100, 40], [0, 50, 100, 20], [0, 50, 100, 20]],
+        text: [-1, 2, -1, 11],
+        styles: [visible, visible, visible, [3, 4, 5, 6, 7, 9]]
+      },
+      textBoxes: {
+        layoutIndex: [1, 1, 3],
+        bounds: [[0, 0, 40, 20], [0, 20, 45, 20], [0, 50, 50, 20]],
+        start: [0, 6, 0],
+        length: [6, 5, 6]
+      }
+    }]
+  }
+
+  const client = {
+    send: async (method, params) => {
+      if (method === 'DOM.pushNodesByBackendIdsToFrontend') return { nodeIds: params.backendNodeIds.map((id, i) => i + 1) }
+      if (method === 'CSS.getPlatformFontsForNode') {
+        return { fonts: [{ familyName: 'Arial', postScriptName: 'ArialMT', isCustomFont: false, glyphCount: 10 }] }
+      }
+      return {}
+    }
+  }
+
+  it('makes a drawTextBlob per visible line box with its font', async () => {
+    const commands = await captureTextCommands(client, snapshot)
+
+    expect(commands.map(cmd => cmd.params.text)).toEqual(['Hello ', 'world'])
+    expect(commands[1]).toEqual({
+      method: 'drawTextBlob',
+      params: {
+        text: 'world',
+        rect: { left: 0, top: 20, right: 45, bottom: 40 },
+        paint: { color: '#FF000000' },
+        font: {
+          family: 'Arial',
+          size: '16px',
+          weight: '400',
+          style: 'normal',
+          platform: [{ familyName: 'Arial', postScriptName: 'ArialMT', isCustomFont: false, glyphCount: 10 }]
+        }
+      },
+      node: 'p'
+    })
+  })
+})
@@ -0,0 +1,37 @@
+import { textRuns, diffWords, diffTextRuns } from '../../lib/core/text-diff.js'
+
+const text = (value, node = 'p') => ({ method: 'drawTextBlob', params: { text: value }, node })
+
+describe('textRuns', () => {
+  it('joins consecutive line boxes of the same element', () => {
+    const runs = textRuns([text('Hello'), text('big  world'), { method: 'drawRect' }, text('Again')])
+    expect(runs.map(run => run.text)).toEqual(['Hello big world', 'Again'])
+  })
+})
+
+describe('diffWords', () => {
+  it('groups inserted and deleted words', () => {
+    expect(diffWords('a b c', 'a x y c')).toEqual([
+      { op: 'equal', words: ['a'] },
+      { op: 'delete', words: ['b'] },
+      { op: 'insert', words: ['x', 'y'] },
+      { op: 'equal', words: ['c'] }
+    ])
+  })
+})
+
+describe('diffTextRuns', () => {
+  it('ignores re-wrapped text with the same words', () => {
+    expect(diffTextRuns([text('Hello big'), text('world')], [text('Hello'), text('big world')])).toEqual([])
+  })
+
+  it('describes changed runs word by word', () => {
+    const [change] = diffTextRuns([text('© 2024 Example Inc.', 'footer')], [text('© 2025 Example Inc.', 'footer')])
+    expect(change).toMatchObject({ node: 'footer', inserted: ['2025'], removed: ['2024'] })
+    expect(change.description).toBe('footer: © [-2024-] {+2025+} Example Inc.')
+  })
+
+  it('reports runs on one side only with null text on the other', () => {
+    expect(diffTextRuns([], [text('New', 'h1')])).toMatchObject([{ node: 'h1', baseline: null, actual: 'New' }])
+  })
+})
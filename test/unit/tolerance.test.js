@@ -0,0 +1,65 @@
+import { compareWithTolerance, colorDistance } from '../../lib/core/tolerance.js'
+import { diffCommands } from '../../lib/core/command-diff.js'
+
+const rect = (left, color = '#FF000000') => ({
+  method: 'drawRect',
+  params: { rect: { left, top: 0, right: left + 10, bottom: 10 }, paint: { color } }
+})
+
+const layerDiff = (changed = [], added = [], removed = []) => ({ added, removed, changed })
+
+describe('colorDistance', () => {
+  it('is the largest channel difference, from 0 to 1', () => {
+    expect(colorDistance('#FF000000', '#FF000000')).toBe(0)
+    expect(colorDistance('#FF000000', '#FFFF0000')).toBe(1)
+    expect(colorDistance('#000000', '#FF000000')).toBe(0)
+    expect(colorDistance('red', '#FF000000')).toBeNull()
+  })
+})
+
+describe('compareWithTolerance', () => {
+  it('accepts coordinates within epsilon and colors within the threshold', () => {
+    const result = compareWithTolerance([rect(0), rect(20)], [rect(0.4), rect(20, '#FF010000')], { epsilon: 0.5, colorThreshold: 0.01 })
+    expect(result).toMatchObject({ match: true, score: 1, tolerated: 2, mismatches: [], layers: [] })
+  })
+
+  it('scores the commands beyond tolerance', () => {
+    const result = compareWithTolerance([rect(0), rect(20)], [rect(3), rect(20)], { epsilon: 0.5 })
+    expect(result.match).toBe(false)
+    expect(result.score).toBe(0.5)
+    expect(result.mismatches[0]).toMatchObject({ type: 'modified', categories: ['geometry'] })
+  })
+
+  it('applies per-method overrides', () => {
+    const paint = { method: 'drawPaint', params: { paint: { color: '#FF000000' } } }
+    const result = compareWithTolerance([rect(0)], [rect(0), paint], { methods: { drawPaint: { ignore: true } } })
+    expect(result.match).toBe(true)
+  })
+
+  it('reuses a given diff', () => {
+    const baseline = [rect(0)]
+    const actual = [rect(3)]
+    const diff = { ...diffCommands(baseline, actual), modified: [] }
+    expect(compareWithTolerance(baseline, actual, {}, { diff }).match).toBe(true)
+  })
+
+  it('tolerates layers moved or resized within epsilon only', () => {
+    const bounds = (x, width) => ({ id: '0', property: 'bounds', baseline: { x: 0, y: 0, width: 100, height: 50 }, actual: { x, y: 0, width, height: 50 } })
+    expect(compareWithTolerance([], [], { epsilon: 0.5 }, { layerDiff: layerDiff([bounds(0.3, 100.5)]) }).match).toBe(true)
+
+    const result = compareWithTolerance([], [], { epsilon: 0.5 }, { layerDiff: layerDiff([bounds(2, 100)]) })
+    expect(result.match).toBe(false)
+    expect(result.layers).toMatchObject([{ type: 'changed', property: 'bounds' }])
+  })
+
+  it('never tolerates added layers or other layer properties', () => {
+    const added = compareWithTolerance([], [], { epsilon: 10 }, { layerDiff: layerDiff([], [{ id: '0/1' }]) })
+    expect(added.layers).toMatchObject([{ type: 'added', id: '0/1' }])
+
+    const transform = { id: '0', property: 'transform', baseline: null, actual: [1, 0, 0, 1] }
+    expect(compareWithTolerance([], [], { epsilon: 10 }, { layerDiff: layerDiff([transform]) }).match).toBe(false)
+
+    const commands = { id: '0', property: 'commands', baseline: 1, actual: 2 }
+    expect(compareWithTolerance([], [], { epsilon: 10 }, { layerDiff: layerDiff([commands]) }).match).toBe(true)
+  })
+})
@@ -61,12 +61,21 @@ export const config = {
 
   before: async function (capabilities, specs) {
     // Make compositor methods available globally
-    browser.addCommand('captureCompositor', async function (name) {
-      return browser.compositor.capture(name)
+    browser.addCommand('captureCompositor', async function (name, options) {
+      return browser.compositor.capture(name, options)
     })
 
-    browser.addCommand('compareCompositor', async function (name) {
-      return browser.compositor.compare(name)
+    browser.addCommand('compareCompositor', async function (name, options) {
+      return browser.compositor.compare(name, options)
     })
+
+    // Element variants, scoped to the element's selector: $('.header').compareCompositor('header')
+    browser.addCommand('captureCompositor', async function (name, options) {
+      return browser.compositor.capture(name, { ...options, selector: this.selector })
+    }, true)
+
+    browser.addCommand('compareCompositor', async function (name, options) {
+      return browser.compositor.compare(name, { ...options, selector: this.selector })
+    }, true)
   }
 }